@@ -0,0 +1,190 @@
+import { FrameworkError } from "./errors.js"
+import { Logger } from "./logger.js"
+
+/**
+ * @callback BusListener
+ * @param {any} payload - Value passed to emit()
+ * @param {string} topic - Topic that was emitted, useful with wildcards
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} BusSubscription
+ * @property {string} pattern - Topic or wildcard pattern subscribed to
+ * @property {RegExp} matcher - Compiled pattern
+ * @property {BusListener} listener
+ * @property {boolean} once - Removed after its first call
+ */
+
+/**
+ * Compiled wildcard patterns, shared by all buses.
+ * @type {Map<string, RegExp>}
+ */
+const matchers = new Map();
+
+/**
+ * Compiles a topic pattern: segments are separated by ':', a `*` segment
+ * matches exactly one segment and a final `**` any number of them.
+ * The pattern '*' alone matches every topic.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+    let matcher = matchers.get(pattern);
+    if (!matcher) {
+        const source = pattern === '*'
+            ? '.*'
+            : pattern
+                .split(':')
+                .map((segment, i, segments) => {
+                    if (segment === '**' && i === segments.length - 1) return '.*';
+                    if (segment === '*') return '[^:]+';
+                    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                })
+                .join(':')
+                // `a:**` also matches `a` itself
+                .replace(/:\.\*$/, '(?::.*)?');
+        matcher = new RegExp(`^${source}$`);
+        matchers.set(pattern, matcher);
+    }
+    return matcher;
+}
+
+/**
+ * Publish/subscribe channel that does not involve the DOM, so components
+ * can notify each other without sharing a State. Topics are strings with
+ * ':' separated segments, and subscriptions may use wildcards.
+ *
+ * @example
+ * export const bus = new EventBus();
+ *
+ * // In a component
+ * const off = bus.on('cart:*', (item, topic) => console.log(topic, item));
+ *
+ * // Elsewhere
+ * bus.emit('cart:added', { id: 42 });
+ * bus.once('session:**', () => refreshToken());
+ */
+export class EventBus {
+    constructor() {
+        /**
+         * Subscriptions in registration order, which is the call order
+         * @type {BusSubscription[]}
+         * @private
+         */
+        this._subscriptions = [];
+    }
+
+    /**
+     * Calls a listener for every emit of a matching topic.
+     * @param {string} pattern - Topic, e.g. 'cart:added', or a pattern like 'cart:*', 'cart:**' or '*'
+     * @param {BusListener} listener
+     * @returns {() => void} Removes this subscription
+     */
+    on(pattern, listener) {
+        return this._subscribe(pattern, listener, false);
+    }
+
+    /**
+     * Like on(), but the listener is removed after its first call.
+     * @param {string} pattern
+     * @param {BusListener} listener
+     * @returns {() => void} Removes the subscription if it has not fired yet
+     */
+    once(pattern, listener) {
+        return this._subscribe(pattern, listener, true);
+    }
+
+    /**
+     * Removes the subscriptions made with exactly this pattern, only those
+     * of one listener when given.
+     * @param {string} pattern - The pattern passed to on() or once()
+     * @param {BusListener} [listener]
+     * @returns {number} Number of subscriptions removed
+     */
+    off(pattern, listener) {
+        const before = this._subscriptions.length;
+        this._subscriptions = this._subscriptions.filter(subscription =>
+            subscription.pattern !== pattern || (listener !== undefined && subscription.listener !== listener)
+        );
+        return before - this._subscriptions.length;
+    }
+
+    /**
+     * Calls the listeners of every subscription matching a topic, in the order
+     * they subscribed. A throwing listener is logged and does not stop the others.
+     * @param {string} topic - e.g. 'cart:added'
+     * @param {any} [payload]
+     * @returns {number} Number of listeners called
+     */
+    emit(topic, payload) {
+        this._checkTopic(topic);
+
+        // Listeners added or removed while emitting take effect on the next emit
+        const matching = this._subscriptions.filter(subscription => subscription.matcher.test(topic));
+        matching.forEach(subscription => {
+            if (subscription.once) this._remove(subscription);
+            try {
+                subscription.listener(payload, topic);
+            } catch (error) {
+                Logger.error('BUS', `Listener for "${subscription.pattern}" failed on "${topic}":`, error);
+            }
+        });
+        return matching.length;
+    }
+
+    /**
+     * Removes every subscription.
+     */
+    clear() {
+        this._subscriptions = [];
+    }
+
+    /**
+     * @private
+     * @param {string} pattern
+     * @param {BusListener} listener
+     * @param {boolean} once
+     * @returns {() => void}
+     */
+    _subscribe(pattern, listener, once) {
+        this._checkTopic(pattern);
+        if (typeof listener !== 'function') {
+            throw new FrameworkError(
+                'BUS',
+                'INVALID_CALLBACK',
+                'Listener must be a function',
+                { received: typeof listener }
+            );
+        }
+
+        /** @type {BusSubscription} */
+        const subscription = { pattern, matcher: compilePattern(pattern), listener, once };
+        this._subscriptions.push(subscription);
+        return () => this._remove(subscription);
+    }
+
+    /**
+     * @private
+     * @param {BusSubscription} subscription
+     */
+    _remove(subscription) {
+        this._subscriptions = this._subscriptions.filter(s => s !== subscription);
+    }
+
+    /**
+     * @private
+     * @param {string} topic
+     * @throws {FrameworkError} If the topic is not a non-empty string
+     */
+    _checkTopic(topic) {
+        if (typeof topic !== 'string' || topic === '') {
+            throw new FrameworkError(
+                'BUS',
+                'INVALID_TOPIC',
+                'Topic must be a non-empty string',
+                { received: topic }
+            );
+        }
+    }
+}
@@ -0,0 +1,116 @@
+import { Dom } from "./dom.js"
+import { FrameworkError } from "./errors.js"
+
+/**
+ * Base class for stateful components used as a tag in Dom.h().
+ * A component keeps its own local state and re-renders only its
+ * own subtree when that state changes.
+ *
+ * @example
+ * class Counter extends Component {
+ *     constructor(props) {
+ *         super(props);
+ *         this.state = { count: props.start || 0 };
+ *     }
+ *
+ *     onMount() { console.log('Counter is in the DOM'); }
+ *
+ *     render() {
+ *         return Dom.h('button', {
+ *             onClick: () => this.setState({ count: this.state.count + 1 })
+ *         }, String(this.state.count));
+ *     }
+ * }
+ *
+ * Dom.renderWithDiff(app, Dom.h(Counter, { start: 5 }));
+ */
+export class Component {
+    /**
+     * @param {Record<string, any>} [props={}] - Attributes passed to Dom.h(), plus `children`
+     */
+    constructor(props = {}) {
+        /**
+         * Props from the parent, replaced on every parent re-render
+         * @type {Record<string, any>}
+         */
+        this.props = props;
+
+        /**
+         * Local state, only update it through setState()
+         * @type {Record<string, any>}
+         */
+        this.state = {};
+
+        /**
+         * Internal: VNode this instance currently belongs to
+         * @type {import('./dom.js').VNode|null}
+         */
+        this._vnode = null;
+
+        /**
+         * Internal: output of the last render(), normalized
+         * @type {import('./dom.js').VNode|undefined}
+         */
+        this._rendered = undefined;
+
+        /**
+         * Internal: nearest ErrorBoundary above this component, if any
+         * @type {import('./dom.js').BoundaryState|null}
+         */
+        this._boundary = null;
+
+        /**
+         * Internal: true between onMount() and onUnmount()
+         * @type {boolean}
+         */
+        this._mounted = false;
+    }
+
+    /**
+     * Describes the component's subtree. Must be overridden.
+     * @returns {import('./dom.js').VNode|string|number|null}
+     */
+    render() {
+        throw new FrameworkError(
+            'DOM',
+            'MISSING_RENDER',
+            `Component "${this.constructor.name}" must implement render()`
+        );
+    }
+
+    /**
+     * Merges a partial state and re-renders this component's subtree.
+     * @param {Record<string, any>|((state: Record<string, any>, props: Record<string, any>) => Record<string, any>)} partial
+     * - Partial state, or an updater receiving the current state and props
+     * @example
+     * this.setState({ open: true });
+     * this.setState(state => ({ count: state.count + 1 }));
+     */
+    setState(partial) {
+        const prevState = this.state;
+        const changes = typeof partial === 'function' ? partial(prevState, this.props) : partial;
+        this.state = { ...prevState, ...changes };
+
+        // Before mount the new state is simply picked up by the first render
+        if (!this._mounted) return;
+
+        Dom._rerender(this, this.props, prevState);
+    }
+
+    /**
+     * Called once after the component's DOM has been created and inserted.
+     */
+    onMount() { }
+
+    /**
+     * Called after each re-render, from setState() or new props.
+     * @param {Record<string, any>} prevProps
+     * @param {Record<string, any>} prevState
+     */
+    onUpdate(prevProps, prevState) { }
+
+    /**
+     * Called before the component's DOM is removed.
+     */
+    onUnmount() { }
+}
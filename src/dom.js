@@ -1,12 +1,203 @@
+import { FrameworkError } from "./errors.js"
+import { Logger } from "./logger.js"
+import { Instrumentation } from "./instrumentation.js"
+
 /**
  * @typedef {Object} VNode
- * @property {string} tag - HTML tag name
- * @property {Object.<string, string>} [attrs] - HTML attributes
+ * @property {string|Function} tag - HTML tag name, or a component function/class
+ * @property {Object.<string, any>} [attrs] - HTML attributes (props for components)
  * @property {Array<VNode|string|number>} [children] - Child nodes (can be VNodes, strings, or numbers)
  * @property {string|number|null} [key] - Optional key for reconciliation, check patchChildren()
+ * @property {import('./component.js').Component} [_instance] - Internal: instance of a class component
+ * @property {VNode} [_rendered] - Internal: last output of a function component, or portal content
+ * @property {Node} [_el] - Internal: DOM node created for this VNode (first node for fragments)
+ * @property {BoundaryState} [_boundary] - Internal: state of an ErrorBoundary VNode
+ */
+
+/**
+ * @typedef {Object} BoundaryState
+ * @property {FrameworkError|null} error - Error caught in the children, null while they render
+ * @property {VNode} vnode - Latest ErrorBoundary VNode sharing this state
+ * @property {BoundaryState|null} parent - Enclosing boundary, which handles errors of the fallback
+ * @property {() => void} reset - Clears the error and renders the children again
+ */
+
+/**
+ * @typedef {Object} TransitionConfig
+ * @property {string} name - Prefix of the transition classes, e.g. 'fade' for 'fade-enter-active'
+ * @property {number} [timeout] - Maximum wait in ms, read from the CSS durations when omitted
+ */
+
+/**
+ * @typedef {Object} TransitionState
+ * @property {TransitionConfig} config - From the element's latest VNode
+ * @property {boolean} leaving - True once the element is on its way out of the DOM
+ * @property {(() => void)|null} cancel - Stops the running phase and drops its classes
+ */
+
+/**
+ * @typedef {Object} RefObject
+ * @property {any} current - The referenced element or component instance, null when detached
+ */
+
+/**
+ * @typedef {((value: any) => void)|RefObject} Ref
+ * A `ref` attribute: a callback, or an object whose `current` is set
+ */
+
+/**
+ * Lifecycle hooks queued during a render pass. They are flushed once
+ * the outermost Dom operation is done, so nodes are already inserted.
+ * @type {Array<() => void>}
+ */
+const pendingHooks = [];
+
+/**
+ * Components marked as mounted by the onMount() hooks still pending, so
+ * dropping a hook unmarks its component.
+ * @type {WeakMap<() => void, import('./component.js').Component>}
+ */
+const mountHooks = new WeakMap();
+
+/** Nesting depth of the Dom operations currently running */
+let renderDepth = 0;
+
+/**
+ * Error boundary whose children are being rendered, inherited by the
+ * components created under it.
+ * @type {BoundaryState|null}
+ */
+let activeBoundary = null;
+
+/**
+ * Elements rendered with a `transition` attribute.
+ * @type {WeakMap<Element, TransitionState>}
+ */
+const transitions = new WeakMap();
+
+/**
+ * Runs a callback on the next animation frame, or after a timer outside browsers.
+ * @param {() => void} callback
+ * @returns {() => void} Cancels the callback
  */
+const nextFrame = (callback) => {
+    if (typeof requestAnimationFrame === 'function') {
+        const handle = requestAnimationFrame(callback);
+        return () => cancelAnimationFrame(handle);
+    }
+    const timer = setTimeout(callback, 16);
+    return () => clearTimeout(timer);
+};
+
+/**
+ * VNodes created, replaced and removed by the current outermost Dom operation,
+ * reported with its duration as a `dom:patch` instrumentation event.
+ */
+const patchStats = { created: 0, replaced: 0, removed: 0 };
+
+/**
+ * Namespaces entered by their root tag, inherited by all descendants.
+ * @type {Object.<string, string>}
+ */
+const ELEMENT_NAMESPACES = {
+    svg: 'http://www.w3.org/2000/svg',
+    math: 'http://www.w3.org/1998/Math/MathML'
+};
+
+/**
+ * Elements that never have children or a closing tag.
+ */
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+/**
+ * Elements whose text content is written out without HTML escaping,
+ * see Dom._rawText().
+ */
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+/**
+ * Attribute names that are safe to write into markup. Anything else, such as
+ * a name with a quote or `>` coming from spread data, would end the tag early.
+ */
+const SAFE_ATTRIBUTE_NAME = /^[^\s"'>\/=\u0000-\u001f]+$/;
+
+/**
+ * Form controls whose `value` prop is not an attribute in markup: the text
+ * of a textarea, the selected options of a select.
+ */
+const VALUE_AS_CONTENT = new Set(['textarea', 'select']);
+
+/**
+ * Props whose HTML attribute name differs from the property name.
+ * @type {Object.<string, string>}
+ */
+const ATTRIBUTE_ALIASES = {
+    className: 'class',
+    htmlFor: 'for',
+    httpEquiv: 'http-equiv'
+};
+
+/**
+ * Namespaces of prefixed attributes such as `xlink:href`.
+ * @type {Object.<string, string>}
+ */
+const ATTRIBUTE_NAMESPACES = {
+    xlink: 'http://www.w3.org/1999/xlink',
+    xml: 'http://www.w3.org/XML/1998/namespace',
+    xmlns: 'http://www.w3.org/2000/xmlns/'
+};
 
 export class Dom {
+    /**
+     * Tag of a VNode that renders its children as siblings, without a wrapper element.
+     * Arrays of children are treated as fragments too.
+     * 
+     * @example
+     * Dom.h(Dom.Fragment, {}, [
+     *   Dom.h('tr', {}, [Dom.h('td', {}, 'Name')]),
+     *   Dom.h('tr', {}, [Dom.h('td', {}, 'Email')])
+     * ]);
+     */
+    static Fragment = 'FRAGMENT';
+
+    /**
+     * Tag of a VNode that renders its children into another container, such as
+     * `document.body`, while it is created, patched and removed along with its
+     * place in the tree. See createPortal().
+     */
+    static Portal = 'PORTAL';
+
+    /**
+     * Tag of a VNode that catches errors thrown while its children are created,
+     * patched or re-rendered by setState(), and shows a fallback instead.
+     * The error is a FrameworkError whose `meta.path` lists the VNodes from the
+     * outermost one reached down to `meta.tag`, the one that failed. The fallback
+     * stays until reset() is called; errors in the fallback itself go further up.
+     * 
+     * Attributes:
+     * - `fallback`: VNode, or `(error, reset) => VNode`
+     * - `onError`: `(error) => void`, called once per caught error
+     * 
+     * @example
+     * Dom.h(Dom.ErrorBoundary, {
+     *   fallback: (error, reset) => Dom.h('button', { onClick: reset }, 'Retry'),
+     *   onError: (error) => report(error.meta.path.join(' > '), error)
+     * }, [Dom.h(Dashboard, { user })]);
+     */
+    static ErrorBoundary = 'ERROR_BOUNDARY';
+
+    /**
+     * How patchChildren() handles an error outside any ErrorBoundary:
+     * - `'throw'`: the error is thrown to the caller (default)
+     * - `'rebuild'`: the error is logged and the children are recreated from
+     *   scratch, losing DOM state such as focus and scroll positions
+     * @type {'throw'|'rebuild'}
+     */
+    static recovery = 'throw';
+
     /**
      * Creates a text node with proper type conversion.
      * 
@@ -23,6 +214,7 @@ export class Dom {
 
     /**
      * Creates a DOM element with specified tag, properties, and children.
+     * `svg` and `math` tags are created in their SVG/MathML namespace.
      * 
      * @param {string} tag - The HTML tag name (e.g., 'div', 'span')
      * @param {{ [key: string]: any }} [props={}] - Element properties/attributes
@@ -33,7 +225,27 @@ export class Dom {
      * const button = Dom.createElement('button', { class: 'btn' }, 'Click me');
      */
     static createElement(tag, props = {}, ...children) {
-        const element = document.createElement(tag);
+        const namespace = this._namespaceFor(tag, null);
+        return /** @type {HTMLElement} */ (Dom.createElementNS(namespace, tag, props, ...children));
+    }
+
+    /**
+     * Creates a DOM element in a given namespace, with properties and children.
+     * A null namespace creates a regular HTML element.
+     * 
+     * @param {string|null} namespace - Namespace URI (e.g., 'http://www.w3.org/2000/svg')
+     * @param {string} tag - The tag name (e.g., 'circle', 'path')
+     * @param {{ [key: string]: any }} [props={}] - Element properties/attributes
+     * @param {...(Node|string)} children - Child elements or text content
+     * @returns {Element} The created DOM element
+     * 
+     * @example
+     * const circle = Dom.createElementNS('http://www.w3.org/2000/svg', 'circle', { r: 10 });
+     */
+    static createElementNS(namespace, tag, props = {}, ...children) {
+        const element = namespace
+            ? document.createElementNS(namespace, tag)
+            : document.createElement(tag);
         Object.keys(props).forEach(key => {
             Dom.setAttribute(element, key, props[key]);
         });
@@ -47,12 +259,17 @@ export class Dom {
      * Sets an attribute, property, or event listener on a DOM element.
      * Handles different value types including:
      * - Event handlers (onClick, onInput)
-     * - Class names (className)
-     * - Style objects
+     * - Class names (class/className): a string, an array, or `{ name: boolean }`,
+     *   nested freely
+     * - Styles: a CSS string or an object, with `--custom` properties and
+     *   `!important` values; declarations are applied on top of the current ones
      * - Native element properties
+     * - Namespaced attributes (xlink:href, xml:lang)
      * - Fallback to HTML attributes
+     * SVG and MathML elements always get attributes, never properties.
+     * `ref` and `transition` are never written to the element, see createRef() and h().
      * 
-     * @param {HTMLElement} element - The target DOM element
+     * @param {Element} element - The target DOM element
      * @param {string} key - Attribute/property name (e.g., 'id', 'onClick', 'style')
      * @param {*} value - The value to set (type depends on key)
      * @throws {Error} If element is not a valid DOM node
@@ -65,31 +282,52 @@ export class Dom {
      * Dom.setAttribute(button, 'onClick', () => console.log('Clicked'));
      * 
      * // Apply styles
-     * Dom.setAttribute(div, 'style', { color: 'red', fontSize: '16px' });
+     * Dom.setAttribute(div, 'style', { color: 'red', fontSize: '16px', '--gap': '4px' });
+     * Dom.setAttribute(div, 'style', 'margin: 0 !important; background: url("a;b.png")');
+     * 
+     * // Conditional classes
+     * Dom.setAttribute(li, 'class', ['item', { done: todo.done, editing }]);
      */
     static setAttribute(element, key, value) {
         const name = element && typeof element === 'object' ? element.constructor?.name : typeof element;
 
-        if (!(element instanceof HTMLElement)) {
-            throw new Error(`Expected valid HTMLElement for setAttribute(), got ${name}`);
+        if (!(element instanceof Element)) {
+            throw new Error(`Expected valid Element for setAttribute(), got ${name}`);
         }
 
+        // Keys, refs and transitions are handled by createFromVNode() and patch()
+        if (key === 'key' || key === 'ref' || key === 'transition') return;
+
         if (key.startsWith('on') && typeof value === "function") {
         /** @type {any} */ (element)[key.toLowerCase()] = value;
             return;
         }
 
+        const attributeNamespace = this._attributeNamespace(key);
+        if (attributeNamespace) {
+            element.setAttributeNS(attributeNamespace, key, value);
+            return;
+        }
+
+        const isHTML = element instanceof HTMLElement;
+
         switch (key) {
-            case 'className':
-                element.className = value;
+            case 'class':
+            case 'className': {
+                // Works for SVG too, where className is a read-only SVGAnimatedString
+                const classes = this._classString(value);
+                if (classes) {
+                    element.setAttribute('class', classes);
+                } else {
+                    element.removeAttribute('class');
+                }
                 break;
+            }
             case 'style':
-                if (typeof value === 'object') {
-                    Object.assign(element.style, value);
-                }
+                this._patchStyle(element, value, null);
                 break;
             default:
-                if (key in element) {
+                if (isHTML && key in element) {
                 /** @type {any} */ (element)[key] = value;
                 } else {
                     element.setAttribute(key, value);
@@ -143,7 +381,7 @@ export class Dom {
         } else if (typeof child === 'object' && 'tag' in child) {
             Dom.appendChild(parent, Dom.createFromVNode(child));
         } else {
-            console.warn('Unsupported child type ignored:', child);
+            Logger.warn('DOM', 'Unsupported child type ignored:', child);
         }
     }
 
@@ -152,8 +390,9 @@ export class Dom {
      * Recursively processes child nodes and handles primitive values.
      * 
      * @param {VNode|string|number} vnode - The virtual node to convert.
-     * @returns {Node} The created DOM element or text node.
-     * @throws {Error} If vnode is invalid or missing 'tag' property.
+     * @returns {Node} The created DOM element, text node, or DocumentFragment for fragments.
+     * @throws {FrameworkError} If a VNode in the tree fails to render outside an
+     * ErrorBoundary, with the VNode path in `meta.path`.
      * 
      * @example
      * // VDOM input
@@ -171,10 +410,68 @@ export class Dom {
      * Dom.appendChild(document.body, domElement);
      */
     static createFromVNode(vnode) {
+        return this._withLifecycle(() => this._createNode(vnode));
+    }
+
+    /**
+     * Builds the DOM for a VNode, see createFromVNode(). Errors are
+     * rethrown with the VNode added to their path.
+     * 
+     * @private
+     * @param {VNode|string|number} vnode
+     * @param {string|null} [namespace=null] - Namespace inherited from the parent element
+     * @returns {Node}
+     */
+    static _createNode(vnode, namespace = null) {
+        patchStats.created++;
+        try {
+            return this._buildNode(vnode, namespace);
+        } catch (error) {
+            throw this._renderError(error, vnode);
+        }
+    }
+
+    /**
+     * Does the work of _createNode().
+     * 
+     * @private
+     * @param {VNode|string|number} vnode
+     * @param {string|null} namespace
+     * @returns {Node}
+     */
+    static _buildNode(vnode, namespace) {
         if (typeof vnode === 'string' || typeof vnode === 'number') {
             return Dom.createTextNode(String(vnode));
         }
 
+        if (Array.isArray(vnode)) {
+            return this._createNode(this._normalizeChild(vnode), namespace);
+        }
+
+        if (typeof vnode.tag === 'function') {
+            return this._createComponent(vnode, namespace);
+        }
+
+        if (vnode.tag === Dom.ErrorBoundary) {
+            return this._createBoundary(vnode, namespace);
+        }
+
+        if (vnode.tag === Dom.Portal) {
+            this._mountPortal(vnode);
+            const placeholder = this.createTextNode('');
+            vnode._el = placeholder;
+            return placeholder;
+        }
+
+        if (vnode.tag === Dom.Fragment) {
+            const fragment = document.createDocumentFragment();
+            this._fragmentChildren(vnode).forEach(child => {
+                fragment.appendChild(this._createNode(child, namespace));
+            });
+            vnode._el = fragment.firstChild || undefined;
+            return fragment;
+        }
+
         // Text node handling
         if (vnode.tag === 'TEXT_NODE') {
             // Handle case where children is undefined or empty
@@ -185,28 +482,34 @@ export class Dom {
             const safeText = typeof textContent === 'string' || typeof textContent === 'number'
                 ? textContent
                 : '';
-            return this.createTextNode(safeText);
+            const textNode = this.createTextNode(safeText);
+            vnode._el = textNode;
+            return textNode;
         }
 
         if (typeof vnode !== 'object' || vnode === null || !('tag' in vnode)) {
             throw new Error('Invalid VNode: missing "tag" property');
         }
 
-        const element = Dom.createElement(vnode.tag, vnode.attrs || {});
+        const elementNamespace = this._namespaceFor(vnode.tag, namespace);
+        const element = Dom.createElementNS(elementNamespace, vnode.tag, vnode.attrs || {});
+        vnode._el = element;
+        this._queueRef(vnode.attrs?.ref, element);
+        if (this._trackTransition(element, vnode.attrs?.transition)) {
+            this._runTransition(element, 'enter');
+        }
 
         if (Array.isArray(vnode.children)) {
-            vnode.children.forEach(
-                /** @param {VNode | string | number | null} child */
-                (child) => {
-                    if (child == null) return;
-                    if (typeof child === 'string' || typeof child === 'number') {
-                        Dom.appendChild(element, Dom.createTextNode(child));
-                    } else {
-                        Dom.appendChild(element, Dom.createFromVNode(child));
-                    }
-                });
+            const childNamespace = vnode.tag === 'foreignObject' ? null : elementNamespace;
+            // Empty slots still get a text node so DOM indexes line up with patchChildren()
+            vnode.children.forEach(child => {
+                Dom.appendChild(element, this._createNode(this._normalizeChild(child), childNamespace));
+            });
         }
 
+        // A select can only take its value once its options exist
+        this._syncFormState(element, vnode.attrs || {});
+
         return element;
     }
 
@@ -300,12 +603,15 @@ export class Dom {
 
     /**
      * Creates a Virtual DOM node (VNode) with specified tag, attributes, and children.
+     * The tag can also be a component: a function receiving props and returning a
+     * VNode, or a class extending Component. Components get `attrs` as props,
+     * with `children` added.
      * 
-     * @param {string} tag - The HTML tag name (e.g., 'div', 'span')
-     * @param {Record<string, any>} [attrs={}] - Element attributes/properties (e.g., { id: 'app', onClick: handler })
+     * @param {string|Function} tag - The HTML tag name (e.g., 'div', 'span') or a component
+     * @param {Record<string, any>|null} [attrs={}] - Element attributes/properties (e.g., { id: 'app', onClick: handler })
      * @param {(Array<any>|Node|string)} [children=[]] - Child elements or text content
      * @returns {{
-     *   tag: string,
+     *   tag: string|Function,
      *   attrs: Record<string, any>,
      *   children: Array<any>,
      *   key: string|null
@@ -321,16 +627,98 @@ export class Dom {
      *   Dom.h('li', {}, 'Item 1'),
      *   Dom.h('li', {}, 'Item 2')
      * ]);
+     * 
+     * @example
+     * // Components
+     * const Badge = (props) => Dom.h('span', { className: 'badge' }, props.children);
+     * Dom.h(Badge, {}, '3');
+     * Dom.h(Counter, { start: 10 }); // class Counter extends Component
+     * 
+     * @example
+     * // Transitions: `transition` takes a class prefix, or { name, timeout }.
+     * // Entering elements get fade-enter-from and fade-enter-active, then
+     * // fade-enter-to from the next frame; leaving ones the same with "leave",
+     * // and stay in the DOM until their transition or animation ends.
+     * // Keyed elements moved by a reorder slide over with fade-move.
+     * Dom.h('ul', {}, todos.map(todo =>
+     *   Dom.h('li', { key: todo.id, transition: 'fade' }, todo.title)
+     * ));
      */
     static h(tag, attrs = {}, children = []) {
+        const props = attrs || {};
         return {
             tag,
-            attrs,
+            attrs: props,
             children: Array.isArray(children) ? children : [children],
-            key: attrs.key || null
+            key: props.key ?? null
         };
     }
 
+    /**
+     * JSX-compatible VNode factory. Unlike h(), children are passed as separate
+     * arguments, attrs may be null and nested child arrays are flattened.
+     * Point your compiler at it with `jsxFactory: "Dom.jsx"` and
+     * `jsxFragmentFactory: "Dom.Fragment"`.
+     * 
+     * @param {string|Function} tag - The HTML tag name, a component, or Dom.Fragment
+     * @param {Record<string, any>|null} [attrs] - Element attributes/properties
+     * @param {...any} children - Child VNodes, text, or arrays of them
+     * @returns {VNode}
+     * 
+     * @example
+     * // <ul class="list">{items.map(i => <li key={i.id}>{i.name}</li>)}</ul>
+     * Dom.jsx('ul', { class: 'list' }, items.map(i => Dom.jsx('li', { key: i.id }, i.name)));
+     */
+    static jsx(tag, attrs, ...children) {
+        return Dom.h(tag, attrs, children.flat(Infinity));
+    }
+
+    /**
+     * Creates a Portal VNode: its children are rendered into `container`
+     * instead of the parent's DOM node, and follow the portal's lifecycle.
+     * An empty text node marks the portal's place in the parent. Handlers set
+     * through attributes work as usual, and Event delegation picks up the
+     * content as long as the container is attached under document.body.
+     * 
+     * @param {Array<any>|VNode|string} children - Content to render in the container
+     * @param {Element} container - Target element, e.g. document.body or an overlay root
+     * @param {string|number|null} [key=null] - Optional key for reconciliation
+     * @returns {VNode}
+     * 
+     * @example
+     * const Modal = (props) => Dom.createPortal(
+     *   Dom.h('div', { className: 'modal' }, props.children),
+     *   document.getElementById('overlays')
+     * );
+     */
+    static createPortal(children, container, key = null) {
+        return {
+            tag: Dom.Portal,
+            attrs: { container, key },
+            children: Array.isArray(children) ? children : [children],
+            key
+        };
+    }
+
+    /**
+     * Creates a ref object for the `ref` attribute. Its `current` holds the
+     * element (or class component instance) once rendered, and null after removal.
+     * A callback works too: it is called with the element, then with null.
+     * 
+     * @returns {RefObject}
+     * 
+     * @example
+     * const input = Dom.createRef();
+     * Dom.renderWithDiff(app, Dom.h('input', { ref: input }));
+     * input.current.focus();
+     * 
+     * @example
+     * Dom.h('canvas', { ref: (el) => el ? chart.attach(el) : chart.detach() });
+     */
+    static createRef() {
+        return { current: null };
+    }
+
     /**
      * Efficiently patches the DOM by comparing old and new Virtual DOM nodes.
      * Performs minimal updates to match the new structure.
@@ -338,7 +726,7 @@ export class Dom {
      * @param {Node} parent - The parent DOM element
      * @param {VNode|null} newVNode - The new VNode to render
      * @param {VNode|null} oldVNode - The previous VNode for comparison
-     * @param {number} [index=0] - Child position index
+     * @param {number} [index=0] - Index of the first DOM node oldVNode occupies
      * 
      * @example
      * // Basic usage
@@ -348,52 +736,29 @@ export class Dom {
         // Handle null/undefined cases
         if (!oldVNode && !newVNode) return;
 
-        // Case 1: New node added
-        if (!oldVNode) {
-            const newNode = this.createFromVNode(/** @type {VNode} */(newVNode));
-            if (parent.childNodes[index]) {
-                parent.insertBefore(newNode, parent.childNodes[index]);
-            } else {
-                parent.appendChild(newNode);
+        this._withLifecycle(() => {
+            // Case 1: New node added
+            if (!oldVNode) {
+                const newNode = this._createNode(/** @type {VNode} */(newVNode), this._namespaceOf(parent));
+                parent.insertBefore(newNode, this._childNodes(parent)[index] || null);
+                return;
             }
-            return;
-        }
 
-        // Case 2: Node removed
-        if (!newVNode && oldVNode) {
-            const nodeToRemove = parent.childNodes[index];
-            if (nodeToRemove) {
-                parent.removeChild(nodeToRemove);
-            }
-            return;
-        }
+            // Fragments and components may span several DOM nodes
+            const oldNodes = this._childNodes(parent).slice(index, index + this._nodeCount(oldVNode));
 
-        // Case 3: Nodes are different
-        if (newVNode && oldVNode && this.hasChanged(newVNode, oldVNode)) {
-            const nodeToReplace = parent.childNodes[index];
-            if (nodeToReplace) {
-                parent.replaceChild(this.createFromVNode(newVNode), nodeToReplace);
+            // Case 2: Node removed
+            if (!newVNode) {
+                this._unmount(oldVNode);
+                oldNodes.forEach(node => this._removeNode(parent, node));
+                return;
             }
-            return;
-        }
 
-        // Case 4: Same node type
-        if (newVNode && oldVNode && newVNode.tag) {
-            const element = parent.childNodes[index];
-            if (element instanceof HTMLElement) {
-                this.updateAttributes(element, newVNode.attrs || {}, oldVNode.attrs || {});
-
-                // Filter to only valid children (VNodes, strings, numbers)
-                const newChildren = (newVNode.children || []).filter(c =>
-                    typeof c === 'object' || typeof c === 'string' || typeof c === 'number'
-                );
-                const oldChildren = (oldVNode.children || []).filter(c =>
-                    typeof c === 'object' || typeof c === 'string' || typeof c === 'number'
-                );
-
-                this.patchChildren(element, newChildren, oldChildren);
+            // Case 3 & 4: Replaced when different, updated in place otherwise
+            if (oldNodes.length > 0) {
+                this._patchNode(oldNodes, newVNode, oldVNode);
             }
-        }
+        });
     }
 
     /**
@@ -417,14 +782,13 @@ export class Dom {
         }
 
         // Handle TEXT_NODE cases
-        if ((node1 && typeof node1 === 'object' && node1.tag === 'TEXT_NODE') ||
-            (node2 && typeof node2 === 'object' && node2.tag === 'TEXT_NODE')) {
-            const text1 = (node1 && typeof node1 === 'object' && node1.tag === 'TEXT_NODE')
-                ? node1.children?.[0] ?? ''
-                : '';
-            const text2 = (node2 && typeof node2 === 'object' && node2.tag === 'TEXT_NODE')
-                ? node2.children?.[0] ?? ''
-                : '';
+        const isText1 = !!node1 && typeof node1 === 'object' && node1.tag === 'TEXT_NODE';
+        const isText2 = !!node2 && typeof node2 === 'object' && node2.tag === 'TEXT_NODE';
+        if (isText1 || isText2) {
+            // A text node never stands in for an element or fragment
+            if (isText1 !== isText2) return true;
+            const text1 = /** @type {VNode} */ (node1).children?.[0] ?? '';
+            const text2 = /** @type {VNode} */ (node2).children?.[0] ?? '';
             return String(text1) !== String(text2);
         }
 
@@ -440,9 +804,14 @@ export class Dom {
         // Different tags
         if (vnode1.tag !== vnode2.tag) return true;
 
+        // Portals moving to another container are rebuilt there
+        if (vnode1.tag === Dom.Portal && vnode1.attrs?.container !== vnode2.attrs?.container) return true;
+
         // Different keys
-        if (vnode1.attrs?.key !== undefined && vnode2.attrs?.key !== undefined) {
-            return vnode1.attrs.key !== vnode2.attrs.key;
+        const key1 = this._getKey(vnode1);
+        const key2 = this._getKey(vnode2);
+        if (key1 != null && key2 != null) {
+            return key1 !== key2;
         }
 
         return false;
@@ -450,9 +819,13 @@ export class Dom {
 
     /**
      * Updates DOM element attributes by comparing old and new attribute sets.
-     * Only modifies attributes that actually changed.
+     * Only modifies attributes that actually changed, except the `value` and
+     * `checked` of form controls: those are always brought back to the VNode,
+     * so a control shows the state it was rendered from even after user input.
+     * Classes and style properties are diffed one by one, so those added by
+     * other code are left alone and stale ones are removed.
      * 
-     * @param {HTMLElement} element - The target DOM element
+     * @param {Element} element - The target DOM element
      * @param {Object<string, any>} newAttrs - New attributes to apply
      * @param {Object<string, any>} oldAttrs - Previous attributes for comparison
      * 
@@ -460,11 +833,25 @@ export class Dom {
      * Dom.updateAttributes(el, { class: 'active' }, { class: '' });
      */
     static updateAttributes(element, newAttrs, oldAttrs) {
+        // Refs stay attached across patches, they are only called again when swapped
+        if (oldAttrs.ref !== newAttrs.ref) {
+            this._setRef(oldAttrs.ref, null);
+            this._setRef(newAttrs.ref, element);
+        }
+
         // Remove old attributes that are no longer present
         Object.keys(oldAttrs).forEach(key => {
+            if (key === 'key' || key === 'ref' || key === 'transition') return;
             if (!(key in newAttrs)) {
-                if (key === 'className') {
-                    element.className = '';
+                const attributeNamespace = this._attributeNamespace(key);
+                if (attributeNamespace) {
+                    element.removeAttributeNS(attributeNamespace, key.slice(key.indexOf(':') + 1));
+                }
+                else if (key === 'class' || key === 'className') {
+                    this._patchClass(element, null, oldAttrs[key]);
+                }
+                else if (key === 'style') {
+                    this._patchStyle(element, null, oldAttrs.style);
                 }
                 else if (key === 'checked' || key === 'disabled' || key === 'selected') {
                     // Cast element as any to bypass type errors for dynamic property access
@@ -477,6 +864,11 @@ export class Dom {
                     const elAny = element;
                     elAny[key.toLowerCase()] = null;
                 }
+                else if (key === 'value' && this._isFormControl(element)) {
+                    // The attribute is only the default, the property holds what is shown
+                    const empty = element instanceof HTMLSelectElement && element.multiple ? [] : '';
+                    this._syncFormState(element, { value: empty });
+                }
                 else {
                     element.removeAttribute(key);
                 }
@@ -485,152 +877,1994 @@ export class Dom {
 
         // Set new/changed attributes
         Object.entries(newAttrs).forEach(([key, value]) => {
-            if (oldAttrs[key] !== value) {
+            if (this._isFormControl(element) && (key === 'value' || key === 'checked')) return;
+            if (oldAttrs[key] === value) return;
+
+            if (key === 'class' || key === 'className') {
+                this._patchClass(element, value, oldAttrs[key]);
+            } else if (key === 'style') {
+                this._patchStyle(element, value, oldAttrs.style);
+            } else {
                 this.setAttribute(element, key, value);
             }
         });
+
+        this._syncFormState(element, newAttrs);
+    }
+
+    /**
+     * Returns props that bind a form control to a State key in both directions:
+     * the control shows the current state value, and user input updates the state.
+     * Spread the result into the control's attrs.
+     * 
+     * @param {import('./state.js').State} state - State holding the value
+     * @param {string} key - State key to bind
+     * @param {Object} [options={}]
+     * @param {'text'|'number'|'checkbox'|'radio'|'select-multiple'} [options.type='text']
+     *   - Kind of control; 'text' also covers textarea and single select
+     * @param {any} [options.value] - For radios, the value this radio stands for
+     * @param {boolean} [options.lazy=false] - Update on change instead of on every keystroke
+     * @returns {Record<string, any>}
+     * 
+     * @example
+     * Dom.h('input', { type: 'text', ...Dom.bind(state, 'name') });
+     * Dom.h('input', { type: 'checkbox', ...Dom.bind(state, 'agree', { type: 'checkbox' }) });
+     * Dom.h('input', { type: 'radio', ...Dom.bind(state, 'size', { type: 'radio', value: 'L' }) });
+     * Dom.h('select', { ...Dom.bind(state, 'tags', { type: 'select-multiple' }) }, options);
+     */
+    static bind(state, key, options = {}) {
+        const { type = 'text', value: radioValue, lazy = false } = options;
+        /** @type {Record<string, any>} */
+        const current = state.getState();
+        const value = current[key];
+        /** @param {Record<string, any>} changes */
+        const update = (changes) => state.setState(changes);
+
+        switch (type) {
+            case 'checkbox':
+                return {
+                    checked: !!value,
+                    onChange: (/** @type {globalThis.Event} */ e) =>
+                        update({ [key]: /** @type {HTMLInputElement} */ (e.target).checked })
+                };
+            case 'radio':
+                return {
+                    value: radioValue,
+                    checked: value === radioValue,
+                    onChange: (/** @type {globalThis.Event} */ e) => {
+                        if (/** @type {HTMLInputElement} */ (e.target).checked) update({ [key]: radioValue });
+                    }
+                };
+            case 'select-multiple':
+                return {
+                    multiple: true,
+                    value: Array.isArray(value) ? value : [],
+                    onChange: (/** @type {globalThis.Event} */ e) => {
+                        const select = /** @type {HTMLSelectElement} */ (e.target);
+                        update({ [key]: Array.from(select.selectedOptions, option => option.value) });
+                    }
+                };
+            default: {
+                const handler = (/** @type {globalThis.Event} */ e) => {
+                    const input = /** @type {HTMLInputElement} */ (e.target);
+                    update({ [key]: type === 'number' ? (input.value === '' ? null : Number(input.value)) : input.value });
+                };
+                return {
+                    value: value ?? '',
+                    [lazy ? 'onChange' : 'onInput']: handler
+                };
+            }
+        }
     }
 
     /**
      * Recursively updates child nodes by comparing old and new VNode children.
-     * Handles additions, removals, and updates with minimal DOM operations.
+     * Keyed children are matched by key and their DOM nodes are moved rather
+     * than recreated; unkeyed children fall back to matching by index.
      * 
-     * @param {HTMLElement} parent - The parent DOM element
+     * @param {Element} parent - The parent DOM element
      * @param {Array<VNode|string|number>} newChildren - Array of new child VNodes
      * @param {Array<VNode|string|number>} oldChildren - Array of previous child VNodes
-     * @throws Will fallback to full re-render if errors occur
+     * @throws {FrameworkError} If rendering fails outside an ErrorBoundary, unless
+     * Dom.recovery is 'rebuild'
      * 
      * @example
      * Dom.patchChildren(ulElement, newItems, oldItems);
      */
     static patchChildren(parent, newChildren, oldChildren) {
+        this._withLifecycle(() => this._patchChildren(parent, newChildren, oldChildren));
+    }
+
+    /**
+     * Diffs children inside an already running render pass, see patchChildren().
+     * 
+     * @private
+     * @param {Element} parent
+     * @param {Array<VNode|string|number>} newChildren
+     * @param {Array<VNode|string|number>} oldChildren
+     */
+    static _patchChildren(parent, newChildren, oldChildren) {
         try {
-            console.group('Diffing children');
-            console.log('Old children:', oldChildren);
-            console.log('New children:', newChildren);
-
-            /**
-             * Normalize children to handle text nodes consistently
-             * @param {VNode|string|number|null|undefined} child
-             * @returns {VNode} - Never returns null (converts null to empty text node)
-             */
-            const normalizeChild = (child) => {
-                if (child == null) {
-                    return {
-                        tag: 'TEXT_NODE',
-                        children: [''],
-                        key: null
-                    };
-                }
-                if (typeof child === 'string' || typeof child === 'number') {
-                    return {
-                        tag: 'TEXT_NODE',
-                        children: [String(child)],
-                        key: null
-                    };
-                }
-                return child;
-            };
+            Logger.debug('DOM', 'Diffing children', { oldChildren, newChildren });
 
-            const normalizedNew = newChildren.map(normalizeChild).filter(Boolean);
-            const normalizedOld = oldChildren.map(normalizeChild).filter(Boolean);
+            const normalizedNew = newChildren.map(this._normalizeChild).filter(Boolean);
+            const normalizedOld = oldChildren.map(this._normalizeChild).filter(Boolean);
 
             // Fast path for empty cases
             if (normalizedNew.length === 0) {
-                parent.innerHTML = '';
-                console.groupEnd();
+                normalizedOld.forEach(child => this._unmount(child));
+                this._childNodes(parent).forEach(node => this._removeNode(parent, node));
                 return;
             }
 
-            // Remove excess old children
-            while (parent.childNodes.length > normalizedNew.length) {
-                const lastChild = parent.lastChild;
-                if (lastChild) parent.removeChild(lastChild);
+            this._reconcile(parent, normalizedNew, normalizedOld, this._childNodes(parent));
+        } catch (error) {
+            // A boundary above gets the error first, rebuilding is opt-in
+            if (Dom.recovery !== 'rebuild' || activeBoundary) throw error;
+
+            Logger.error('DOM', 'Diffing error, rebuilding children:', error);
+            oldChildren.forEach(child => this._unmount(child));
+            parent.innerHTML = '';
+            newChildren.forEach(child => {
+                parent.appendChild(this._createNode(this._normalizeChild(child), this._namespaceOf(parent)));
+            });
+        }
+    }
+
+    /**
+     * Reconciles a run of sibling DOM nodes with new children. The run is either
+     * all children of an element, or the nodes of a fragment inside its parent.
+     * 
+     * @private
+     * @param {Node} parent - Parent DOM node of the run
+     * @param {VNode[]} newChildren - Normalized new children
+     * @param {VNode[]} oldChildren - Normalized old children
+     * @param {Node[]} oldNodes - DOM nodes currently rendered for oldChildren, in order
+     * @returns {Node[]} DOM nodes rendered for newChildren, in order
+     */
+    static _reconcile(parent, newChildren, oldChildren, oldNodes) {
+        // Whatever follows the run stays put, new nodes go in front of it
+        const end = oldNodes.length > 0 ? oldNodes[oldNodes.length - 1].nextSibling : null;
+        const firstRects = this._measureMoves(oldNodes);
+
+        // Split the old DOM nodes by how many each old child occupies
+        let offset = 0;
+        const oldRanges = oldChildren.map(child => {
+            const count = this._nodeCount(child);
+            const range = oldNodes.slice(offset, offset + count);
+            offset += count;
+            return range;
+        });
+
+        /** @type {Map<string|number, number>} */
+        const oldKeyed = new Map();
+        oldChildren.forEach((child, j) => {
+            const key = this._getKey(child);
+            if (key == null) return;
+            if (oldKeyed.has(key)) {
+                Logger.warn('DOM', `Duplicate key "${key}" in children, only the first is reused`);
+                return;
             }
+            oldKeyed.set(key, j);
+        });
 
-            // Diff each child
-            for (let i = 0; i < normalizedNew.length; i++) {
-                const newChild = normalizedNew[i];
-                const oldChild = normalizedOld[i];
-                const domNode = parent.childNodes[i];
+        const reused = new Array(oldChildren.length).fill(false);
+        /** @type {number[]} Old index each new child was matched with, -1 when created */
+        const sources = [];
+        /** @type {Node[][]} */
+        const newRanges = [];
 
-                // Case 1: New node needs to be added
-                if (!domNode) {
-                    parent.appendChild(this.createFromVNode(newChild));
-                    continue;
-                }
+        // Match by key, fall back to index for unkeyed children
+        newChildren.forEach((newChild, i) => {
+            const key = this._getKey(newChild);
+            let j = -1;
+            if (key != null) {
+                const match = oldKeyed.get(key);
+                if (match !== undefined && !reused[match]) j = match;
+            } else if (i < oldChildren.length && !reused[i] && this._getKey(oldChildren[i]) == null) {
+                j = i;
+            }
 
-                // Case 2: Nodes are different (including text changes)
-                if (!oldChild || this.hasChanged(newChild, oldChild)) {
-                    parent.replaceChild(
-                        this.createFromVNode(newChild),
-                        domNode
-                    );
-                    continue;
-                }
+            const oldChild = j === -1 ? null : oldChildren[j];
+            const oldRange = j === -1 ? [] : oldRanges[j];
 
-                // Case 3: Same node type - update attributes and children
-                if (newChild.tag === 'TEXT_NODE') {
-                    // Text nodes are already handled by hasChanged
-                    continue;
-                }
+            if (oldChild && oldRange.length > 0 && !this.hasChanged(newChild, oldChild)) {
+                reused[j] = true;
+                sources.push(j);
+                newRanges.push(this._patchNode(oldRange, newChild, oldChild));
+            } else {
+                sources.push(-1);
+                newRanges.push(this._toNodes(this._createNode(newChild, this._namespaceOf(parent))));
+            }
+        });
 
-                // Handle element nodes with children
-                if (domNode instanceof HTMLElement) {
-                    this.updateAttributes(
-                        domNode,
-                        newChild.attrs || {},
-                        oldChild.attrs || {}
-                    );
-
-                    // Recursively diff children (including text nodes)
-                    const newChildNodes = (newChild.children || []).map(normalizeChild).filter(Boolean);
-                    const oldChildNodes = (oldChild.children || []).map(normalizeChild).filter(Boolean);
-                    this.patchChildren(domNode, newChildNodes, oldChildNodes);
-                }
+        // Remove everything that was not reused (stale children and stray nodes)
+        oldChildren.forEach((child, j) => {
+            if (!reused[j]) this._unmount(child);
+        });
+        const kept = new Set(newRanges.flat());
+        oldNodes.forEach(node => {
+            if (!kept.has(node) && node.parentNode === parent) this._removeNode(parent, node);
+        });
+
+        // Move or insert, walking backwards so each node's successor is already in place.
+        // Nodes on the longest increasing run of old indices keep their position.
+        const stable = this._longestIncreasingSubsequence(sources);
+        /** @type {Node|null} */
+        let anchor = end;
+        for (let i = newRanges.length - 1; i >= 0; i--) {
+            const range = newRanges[i];
+            if (!stable.has(i)) {
+                range.forEach(node => parent.insertBefore(node, anchor));
             }
+            anchor = range[0];
+        }
 
-            console.groupEnd();
-        } catch (error) {
-            console.error('Diffing error:', error);
-            // Fallback to full re-render
-            parent.innerHTML = '';
-            newChildren.forEach(child => {
-                if (child != null) {
-                    parent.appendChild(this.createFromVNode(child));
-                }
-            });
+        const newNodes = newRanges.flat();
+        this._playMoves(firstRects);
+        return newNodes;
+    }
+
+    /**
+     * Normalizes a child so text and empty slots are handled like VNodes.
+     * 
+     * @private
+     * @param {VNode|string|number|boolean|Array<any>|null|undefined} child
+     * @returns {VNode} Never returns null (converts null to empty text node)
+     */
+    static _normalizeChild(child) {
+        if (child == null || typeof child === 'boolean') {
+            return {
+                tag: 'TEXT_NODE',
+                children: [''],
+                key: null
+            };
+        }
+        if (typeof child === 'string' || typeof child === 'number') {
+            return {
+                tag: 'TEXT_NODE',
+                children: [String(child)],
+                key: null
+            };
+        }
+        if (Array.isArray(child)) {
+            return {
+                tag: Dom.Fragment,
+                children: child,
+                key: null
+            };
         }
+        return child;
     }
 
     /**
-     * Efficiently renders a VNode tree with smart diffing against previous version.
-     * Automatically handles initial render and subsequent updates.
+     * Normalized children of a fragment. An empty fragment keeps one empty
+     * text node so it always has a position in the DOM.
      * 
-     * @param {HTMLElement} container - The target DOM container
-     * @param {VNode} newVTree - The complete new VNode tree
-     * @param {VNode|null} [oldVTree=null] - Previous VNode tree for diffing
+     * @private
+     * @param {VNode} vnode
+     * @returns {VNode[]}
+     */
+    static _fragmentChildren(vnode) {
+        const children = (vnode.children || []).map(this._normalizeChild);
+        return children.length > 0 ? children : [this._normalizeChild(null)];
+    }
+
+    /**
+     * Counts the DOM nodes a rendered VNode occupies: one for elements and
+     * text, the sum of its children for fragments.
      * 
-     * @example
-     * // Initial render
-     * Dom.renderWithDiff(app, vtree);
+     * @private
+     * @param {VNode|string|number|null} vnode
+     * @returns {number}
+     */
+    static _nodeCount(vnode) {
+        const node = this._normalizeChild(vnode);
+        if (node._instance) return this._nodeCount(node._instance._rendered ?? null);
+        if (typeof node.tag === 'function' || node.tag === Dom.ErrorBoundary) {
+            return this._nodeCount(node._rendered ?? null);
+        }
+        if (node.tag === Dom.Fragment) {
+            return this._fragmentChildren(node).reduce((sum, child) => sum + this._nodeCount(child), 0);
+        }
+        return 1;
+    }
+
+    /**
+     * Lists the top-level nodes of a created node, unwrapping DocumentFragments.
+     * 
+     * @private
+     * @param {Node} node
+     * @returns {Node[]}
+     */
+    static _toNodes(node) {
+        return node instanceof DocumentFragment ? Array.from(node.childNodes) : [node];
+    }
+
+    /**
+     * Reads the reconciliation key of a VNode, either set by h() or found in attrs.
+     * 
+     * @private
+     * @param {VNode|string|number|null} vnode
+     * @returns {string|number|null}
+     */
+    static _getKey(vnode) {
+        if (vnode == null || typeof vnode !== 'object') return null;
+        return vnode.key ?? vnode.attrs?.key ?? null;
+    }
+
+    /**
+     * Brings the DOM nodes of a VNode in line with a new VNode. They are updated
+     * in place when both VNodes match, and replaced otherwise. Errors are
+     * rethrown with the VNode added to their path.
+     * 
+     * @private
+     * @param {Node[]} nodes - DOM nodes previously rendered for oldVNode
+     * @param {VNode} newVNode
+     * @param {VNode} oldVNode
+     * @returns {Node[]} The DOM nodes now representing newVNode
+     */
+    static _patchNode(nodes, newVNode, oldVNode) {
+        try {
+            return this._updateNode(nodes, newVNode, oldVNode);
+        } catch (error) {
+            throw this._renderError(error, newVNode);
+        }
+    }
+
+    /**
+     * Does the work of _patchNode().
+     * 
+     * @private
+     * @param {Node[]} nodes
+     * @param {VNode} newVNode
+     * @param {VNode} oldVNode
+     * @returns {Node[]}
+     */
+    static _updateNode(nodes, newVNode, oldVNode) {
+        const [node] = nodes;
+
+        if (this.hasChanged(newVNode, oldVNode)) {
+            patchStats.replaced++;
+            const parent = node.parentNode;
+            const newNodes = this._toNodes(this._createNode(newVNode, this._namespaceOf(parent)));
+            this._unmount(oldVNode);
+            if (parent) {
+                newNodes.forEach(newNode => parent.insertBefore(newNode, node));
+                nodes.forEach(oldNode => this._removeNode(parent, oldNode));
+            }
+            return newNodes;
+        }
+
+        if (typeof newVNode.tag === 'function') {
+            return this._patchComponent(nodes, newVNode, oldVNode);
+        }
+
+        if (newVNode.tag === Dom.ErrorBoundary) {
+            return this._patchBoundary(nodes, newVNode, oldVNode);
+        }
+
+        if (newVNode.tag === Dom.Portal) {
+            const oldContent = /** @type {VNode} */ (oldVNode._rendered);
+            const content = this._portalContent(newVNode);
+            const contentNodes = this._reconcile(
+                this._portalContainer(newVNode),
+                this._fragmentChildren(content),
+                this._fragmentChildren(oldContent),
+                this._nodesOf(oldContent)
+            );
+            content._el = contentNodes[0];
+            newVNode._el = node;
+            return nodes;
+        }
+
+        if (newVNode.tag === Dom.Fragment) {
+            const parent = /** @type {Node} */ (node.parentNode);
+            const newNodes = this._reconcile(
+                parent,
+                this._fragmentChildren(newVNode),
+                this._fragmentChildren(oldVNode),
+                nodes
+            );
+            newVNode._el = newNodes[0];
+            return newNodes;
+        }
+
+        newVNode._el = node;
+
+        // Text nodes are already handled by hasChanged
+        if (newVNode.tag === 'TEXT_NODE') return nodes;
+
+        if (node instanceof Element) {
+            this.updateAttributes(node, newVNode.attrs || {}, oldVNode.attrs || {});
+            this._trackTransition(node, newVNode.attrs?.transition);
+
+            // Recursively diff children (including text nodes)
+            this._patchChildren(node, newVNode.children || [], oldVNode.children || []);
+
+            // Options may have changed under a select
+            if (node instanceof HTMLSelectElement) {
+                this._syncFormState(node, newVNode.attrs || {});
+            }
+        }
+        return nodes;
+    }
+
+    /**
+     * Creates the DOM for a component VNode. Class components are instantiated
+     * and their onMount() hook is queued for the end of the render pass.
+     * 
+     * @private
+     * @param {VNode} vnode - VNode whose tag is a component
+     * @param {string|null} namespace - Namespace inherited from the parent element
+     * @returns {Node}
+     */
+    static _createComponent(vnode, namespace) {
+        const node = this._createNode(this._renderComponent(vnode), namespace);
+        this._queueMount(vnode);
+        return node;
+    }
+
+    /**
+     * Runs a component VNode for the first time: instantiates class components
+     * and stores the normalized output on the VNode or instance.
+     * 
+     * @private
+     * @param {VNode} vnode - VNode whose tag is a component
+     * @returns {VNode} The normalized rendered output
+     */
+    static _renderComponent(vnode) {
+        const component = /** @type {any} */ (vnode.tag);
+        const props = this._getProps(vnode);
+
+        if (!this._isClassComponent(component)) {
+            const rendered = this._normalizeChild(component(props));
+            vnode._rendered = rendered;
+            return rendered;
+        }
+
+        /** @type {import('./component.js').Component} */
+        const instance = new component(props);
+        instance.props = props;
+        instance._vnode = vnode;
+        instance._boundary = activeBoundary;
+        vnode._instance = instance;
+
+        const rendered = this._normalizeChild(instance.render());
+        instance._rendered = rendered;
+        return rendered;
+    }
+
+    /**
+     * Marks a freshly rendered class component as mounted and queues
+     * its ref and onMount() hook for the end of the render pass.
+     * 
+     * @private
+     * @param {VNode} vnode
+     */
+    static _queueMount(vnode) {
+        const instance = vnode._instance;
+        if (!instance) return;
+        instance._mounted = true;
+        this._queueRef(vnode.attrs?.ref, instance);
+        const hook = () => instance.onMount();
+        mountHooks.set(hook, instance);
+        pendingHooks.push(hook);
+    }
+
+    /**
+     * Drops the hooks queued after a point, for DOM that never shows. Their
+     * components were not mounted, so they are not unmounted later either.
+     * 
+     * @private
+     * @param {number} count - Number of pending hooks to keep
+     */
+    static _dropHooks(count) {
+        pendingHooks.splice(count).forEach(hook => {
+            const instance = mountHooks.get(hook);
+            if (instance) instance._mounted = false;
+        });
+    }
+
+    /**
+     * Attaches a ref at the end of the render pass, once the old
+     * nodes it may have pointed to have been detached.
+     * 
+     * @private
+     * @param {Ref|undefined} ref
+     * @param {any} value - Element or component instance
+     */
+    static _queueRef(ref, value) {
+        if (ref) pendingHooks.push(() => this._setRef(ref, value));
+    }
+
+    /**
+     * Points a callback or object ref at a value.
+     * 
+     * @private
+     * @param {Ref|undefined} ref
+     * @param {any} value - Element, component instance, or null to detach
+     */
+    static _setRef(ref, value) {
+        if (typeof ref === 'function') {
+            ref(value);
+        } else if (ref && typeof ref === 'object' && 'current' in ref) {
+            ref.current = value;
+        }
+    }
+
+    /**
+     * Re-renders a component with new props from its parent.
+     * 
+     * @private
+     * @param {Node[]} nodes - DOM nodes the component currently renders to
+     * @param {VNode} newVNode
+     * @param {VNode} oldVNode
+     * @returns {Node[]}
+     */
+    static _patchComponent(nodes, newVNode, oldVNode) {
+        const props = this._getProps(newVNode);
+        const instance = oldVNode._instance;
+
+        if (!instance) {
+            const component = /** @type {Function} */ (newVNode.tag);
+            const rendered = this._normalizeChild(component(props));
+            newVNode._rendered = rendered;
+            return this._patchNode(nodes, rendered, /** @type {VNode} */ (oldVNode._rendered));
+        }
+
+        // Like an element's, the ref is only called again when swapped
+        if (oldVNode.attrs?.ref !== newVNode.attrs?.ref) {
+            this._setRef(oldVNode.attrs?.ref, null);
+            this._setRef(newVNode.attrs?.ref, instance);
+        }
+
+        const prevProps = instance.props;
+        instance.props = props;
+        instance._vnode = newVNode;
+        newVNode._instance = instance;
+        return this._updateInstance(instance, prevProps, instance.state) || nodes;
+    }
+
+    /**
+     * Renders a mounted component again and patches only its own subtree.
+     * Used by Component#setState(). Errors go to the component's ErrorBoundary,
+     * or are thrown with the component added to their path.
+     * 
+     * @param {import('./component.js').Component} instance
+     * @param {Record<string, any>} prevProps
+     * @param {Record<string, any>} prevState
+     * @returns {Node[]|null} The component's DOM nodes after the update
+     */
+    static _rerender(instance, prevProps, prevState) {
+        return this._withLifecycle(() => {
+            const update = () => {
+                try {
+                    return this._updateInstance(instance, prevProps, prevState);
+                } catch (error) {
+                    throw this._renderError(error, /** @type {VNode} */ (instance._vnode));
+                }
+            };
+
+            // Inside a render pass of the boundary, it handles the error itself
+            const boundary = instance._boundary;
+            if (!boundary || boundary === activeBoundary) return update();
+
+            const range = this._rangeOf(this._nodesOf(boundary.vnode));
+            const content = boundary.vnode._rendered;
+            return this._tryInBoundary(boundary, update, () => {
+                this._unmount(content);
+                this._replaceRange(range, this._createNode(
+                    this._boundaryContent(boundary.vnode),
+                    this._namespaceOf(range.parent)
+                ));
+                return null;
+            });
+        });
+    }
+
+    /**
+     * Renders a component instance and patches its current DOM nodes.
+     * 
+     * @private
+     * @param {import('./component.js').Component} instance
+     * @param {Record<string, any>} prevProps
+     * @param {Record<string, any>} prevState
+     * @returns {Node[]|null} The component's DOM nodes, null if it has none
+     */
+    static _updateInstance(instance, prevProps, prevState) {
+        const oldRendered = /** @type {VNode} */ (instance._rendered);
+        const nodes = this._nodesOf(oldRendered);
+        if (nodes.length === 0) return null;
+
+        const rendered = this._normalizeChild(instance.render());
+        instance._rendered = rendered;
+        const newNodes = this._patchNode(nodes, rendered, oldRendered);
+
+        pendingHooks.push(() => instance.onUpdate(prevProps, prevState));
+        return newNodes;
+    }
+
+    /**
+     * Calls onUnmount() on every class component in a VNode subtree,
+     * parents before children, and detaches refs. Must run before the DOM is removed.
+     * Portal content lives outside that DOM, so it is removed here.
+     * 
+     * @private
+     * @param {VNode|string|number|Array<any>|null|undefined} vnode
+     */
+    static _unmount(vnode) {
+        if (vnode == null || typeof vnode !== 'object') return;
+
+        if (Array.isArray(vnode)) {
+            vnode.forEach(child => this._unmount(child));
+            return;
+        }
+
+        patchStats.removed++;
+
+        this._setRef(vnode.attrs?.ref, null);
+
+        if (vnode.tag === Dom.Portal) {
+            const content = /** @type {VNode} */ (vnode._rendered);
+            const contentNodes = this._nodesOf(content);
+            this._unmount(content);
+            contentNodes.forEach(node => node.parentNode && this._removeNode(node.parentNode, node));
+            return;
+        }
+
+        const instance = vnode._instance;
+        if (instance) {
+            if (instance._mounted) {
+                instance._mounted = false;
+                instance.onUnmount();
+            }
+            this._unmount(instance._rendered);
+            return;
+        }
+
+        if (typeof vnode.tag === 'function' || vnode.tag === Dom.ErrorBoundary) {
+            this._unmount(vnode._rendered);
+            return;
+        }
+
+        (vnode.children || []).forEach(child => this._unmount(child));
+    }
+
+    /**
+     * Resolves the DOM nodes a VNode was rendered to, following components.
+     * 
+     * @private
+     * @param {VNode} vnode
+     * @returns {Node[]}
+     */
+    static _nodesOf(vnode) {
+        /** @type {Node[]} */
+        const nodes = [];
+        let node = this._firstNodeOf(vnode);
+        for (let count = this._nodeCount(vnode); node && count > 0; count--) {
+            nodes.push(node);
+            node = node.nextSibling;
+            while (node && this._isLeaving(node)) node = node.nextSibling;
+        }
+        return nodes;
+    }
+
+    /**
+     * Finds the first DOM node of a rendered VNode, following components.
+     * 
+     * @private
+     * @param {VNode|null|undefined} vnode
+     * @returns {Node|null}
+     */
+    static _firstNodeOf(vnode) {
+        if (!vnode) return null;
+        if (vnode._instance) return this._firstNodeOf(vnode._instance._rendered);
+        if (typeof vnode.tag === 'function' || vnode.tag === Dom.ErrorBoundary) {
+            return this._firstNodeOf(vnode._rendered);
+        }
+        if (vnode.tag === Dom.Fragment) {
+            // A component at the start may have replaced its own nodes since
+            return this._firstNodeOf(this._fragmentChildren(vnode)[0]) || vnode._el || null;
+        }
+        return vnode._el || null;
+    }
+
+    /**
+     * Renders a portal's children at the end of its container.
+     * 
+     * @private
+     * @param {VNode} vnode - Portal VNode
+     */
+    static _mountPortal(vnode) {
+        const container = this._portalContainer(vnode);
+        const content = this._portalContent(vnode);
+        container.appendChild(this._createNode(content, this._namespaceOf(container)));
+    }
+
+    /**
+     * Wraps a portal's children in a Fragment stored on the portal VNode,
+     * which keeps track of the nodes rendered in the container.
+     * 
+     * @private
+     * @param {VNode} vnode - Portal VNode
+     * @returns {VNode}
+     */
+    static _portalContent(vnode) {
+        const content = { tag: Dom.Fragment, children: vnode.children || [], key: null };
+        vnode._rendered = content;
+        return content;
+    }
+
+    /**
+     * Reads and checks the target container of a portal.
+     * 
+     * @private
+     * @param {VNode} vnode - Portal VNode
+     * @returns {Element}
+     * @throws {FrameworkError} If the container is not a DOM Element
+     */
+    static _portalContainer(vnode) {
+        const container = vnode.attrs?.container;
+        if (!(container instanceof Element)) {
+            throw new FrameworkError(
+                'DOM',
+                'INVALID_PORTAL_CONTAINER',
+                'Portal container must be a DOM Element',
+                { received: container?.constructor?.name ?? typeof container }
+            );
+        }
+        return container;
+    }
+
+    /**
+     * Creates the DOM for an ErrorBoundary: its children, or the fallback if they throw.
+     * 
+     * @private
+     * @param {VNode} vnode - ErrorBoundary VNode
+     * @param {string|null} namespace - Namespace inherited from the parent element
+     * @returns {Node}
+     */
+    static _createBoundary(vnode, namespace) {
+        const boundary = this._boundaryOf(vnode, null);
+        const create = () => this._createNode(this._boundaryContent(vnode), namespace);
+        return boundary.error ? create() : this._tryInBoundary(boundary, create, create);
+    }
+
+    /**
+     * Patches the children of an ErrorBoundary. If that throws, whatever
+     * was rendered for them is replaced by the fallback.
+     * 
+     * @private
+     * @param {Node[]} nodes - DOM nodes previously rendered for oldVNode
+     * @param {VNode} newVNode
+     * @param {VNode} oldVNode
+     * @returns {Node[]}
+     */
+    static _patchBoundary(nodes, newVNode, oldVNode) {
+        const boundary = this._boundaryOf(newVNode, oldVNode);
+        const oldContent = /** @type {VNode} */ (oldVNode._rendered);
+        const patch = () => this._patchNode(nodes, this._boundaryContent(newVNode), oldContent);
+        if (boundary.error) return patch();
+
+        const range = this._rangeOf(nodes);
+        return this._tryInBoundary(boundary, patch, () => {
+            this._unmount(oldContent);
+            return this._replaceRange(range, this._createNode(
+                this._boundaryContent(newVNode),
+                this._namespaceOf(range.parent)
+            ));
+        });
+    }
+
+    /**
+     * Gets the state of an ErrorBoundary VNode, taking it over from the
+     * VNode it replaces or starting a new one.
+     * 
+     * @private
+     * @param {VNode} vnode - ErrorBoundary VNode
+     * @param {VNode|null} oldVNode - Previous VNode in the same place
+     * @returns {BoundaryState}
+     */
+    static _boundaryOf(vnode, oldVNode) {
+        /** @type {BoundaryState} */
+        const boundary = vnode._boundary ?? oldVNode?._boundary ?? {
+            error: null,
+            vnode,
+            parent: activeBoundary,
+            reset: () => this._resetBoundary(boundary)
+        };
+        boundary.vnode = vnode;
+        vnode._boundary = boundary;
+        return boundary;
+    }
+
+    /**
+     * Wraps what an ErrorBoundary shows, its children or its fallback,
+     * in a Fragment stored on the boundary VNode.
+     * 
+     * @private
+     * @param {VNode} vnode - ErrorBoundary VNode
+     * @returns {VNode}
+     */
+    static _boundaryContent(vnode) {
+        const boundary = /** @type {BoundaryState} */ (vnode._boundary);
+        const fallback = vnode.attrs?.fallback;
+        const children = !boundary.error
+            ? vnode.children || []
+            : [typeof fallback === 'function' ? fallback(boundary.error, boundary.reset) : fallback];
+        const content = { tag: Dom.Fragment, children, key: null };
+        vnode._rendered = content;
+        return content;
+    }
+
+    /**
+     * Runs a render operation for the children of an ErrorBoundary. When it
+     * throws, the hooks it queued are dropped, since its DOM never shows,
+     * the error is reported and `recover` renders the fallback.
+     * 
+     * @private
+     * @template T
+     * @param {BoundaryState} boundary
+     * @param {() => T} operation
+     * @param {() => T} recover - Runs outside the boundary, so its errors go further up
+     * @returns {T}
+     */
+    static _tryInBoundary(boundary, operation, recover) {
+        const outer = activeBoundary;
+        const hookCount = pendingHooks.length;
+        activeBoundary = boundary;
+        try {
+            return operation();
+        } catch (error) {
+            this._dropHooks(hookCount);
+            activeBoundary = boundary.parent;
+            this._captureError(boundary, /** @type {FrameworkError} */ (error));
+            return recover();
+        } finally {
+            activeBoundary = outer;
+        }
+    }
+
+    /**
+     * Records the error of a boundary and reports it to its `onError` attribute.
+     * 
+     * @private
+     * @param {BoundaryState} boundary
+     * @param {FrameworkError} error
+     */
+    static _captureError(boundary, error) {
+        boundary.error = error;
+        const onError = boundary.vnode.attrs?.onError;
+        if (typeof onError === 'function') {
+            onError(error);
+        } else {
+            Logger.error('DOM', 'Error caught by boundary:', error);
+        }
+    }
+
+    /**
+     * Clears the error of a mounted boundary and renders its children again,
+     * falling back once more if they still throw.
+     * 
+     * @private
+     * @param {BoundaryState} boundary
+     */
+    static _resetBoundary(boundary) {
+        const nodes = this._nodesOf(boundary.vnode);
+        if (!boundary.error || !nodes[0]?.parentNode) return;
+
+        this._withLifecycle(() => {
+            const range = this._rangeOf(nodes);
+            this._unmount(boundary.vnode._rendered);
+            boundary.error = null;
+
+            const outer = activeBoundary;
+            activeBoundary = boundary.parent;
+            try {
+                this._replaceRange(range, this._createNode(boundary.vnode, this._namespaceOf(range.parent)));
+            } finally {
+                activeBoundary = outer;
+            }
+        });
+    }
+
+    /**
+     * Remembers the position of a run of sibling nodes by its neighbours,
+     * which stay in place while the run itself is patched.
+     * 
+     * @private
+     * @param {Node[]} nodes - Consecutive siblings
+     * @returns {{ parent: Node, before: Node|null, after: Node|null }}
+     */
+    static _rangeOf(nodes) {
+        return {
+            parent: /** @type {Node} */ (nodes[0].parentNode),
+            before: nodes[0].previousSibling,
+            after: nodes[nodes.length - 1].nextSibling
+        };
+    }
+
+    /**
+     * Replaces everything between the neighbours of a range with a new node.
+     * 
+     * @private
+     * @param {{ parent: Node, before: Node|null, after: Node|null }} range
+     * @param {Node} node - Created node, may be a DocumentFragment
+     * @returns {Node[]} The nodes now in the range
+     */
+    static _replaceRange(range, node) {
+        const { parent, before, after } = range;
+        let current = before ? before.nextSibling : parent.firstChild;
+        while (current && current !== after) {
+            const next = current.nextSibling;
+            parent.removeChild(current);
+            current = next;
+        }
+
+        const nodes = this._toNodes(node);
+        parent.insertBefore(node, after);
+        return nodes;
+    }
+
+    /**
+     * Turns an error thrown while rendering a VNode into a FrameworkError
+     * and prepends the VNode to `meta.path`. The first VNode the error
+     * passes through is the one that failed, recorded as `meta.tag`.
+     * 
+     * @private
+     * @param {any} error
+     * @param {VNode|string|number} vnode
+     * @returns {FrameworkError}
+     */
+    static _renderError(error, vnode) {
+        const name = this._describeVNode(vnode);
+        let failure = error;
+
+        if (!(error instanceof FrameworkError)) {
+            failure = new FrameworkError(
+                'DOM',
+                'RENDER_FAILED',
+                `Rendering ${name} failed: ${error?.message ?? error}`,
+                { cause: error }
+            );
+        }
+        if (!Array.isArray(failure.meta.path)) {
+            failure.meta.tag = name;
+            failure.meta.path = [];
+        }
+
+        // Fragments have no tag of their own to show in the path
+        const isFragment = Array.isArray(vnode) || (typeof vnode === 'object' && vnode?.tag === Dom.Fragment);
+        if (!isFragment) failure.meta.path.unshift(name);
+        return failure;
+    }
+
+    /**
+     * Short name of a VNode for error paths, e.g. `li[key=3]` or `TodoList`.
+     * 
+     * @private
+     * @param {VNode|string|number} vnode
+     * @returns {string}
+     */
+    static _describeVNode(vnode) {
+        if (vnode == null || typeof vnode !== 'object') return '#text';
+        const tag = vnode.tag;
+        const name = typeof tag === 'function'
+            ? tag.name || 'Anonymous'
+            : { TEXT_NODE: '#text', [Dom.Fragment]: 'Fragment', [Dom.Portal]: 'Portal', [Dom.ErrorBoundary]: 'ErrorBoundary' }[tag] ?? tag;
+        const key = this._getKey(vnode);
+        return key != null ? `${name}[key=${key}]` : name;
+    }
+
+    /**
+     * Lists the child nodes of an element that take part in patching,
+     * leaving out those still playing a leave transition.
+     * 
+     * @private
+     * @param {Node} parent
+     * @returns {Node[]}
+     */
+    static _childNodes(parent) {
+        return Array.from(parent.childNodes).filter(node => !this._isLeaving(node));
+    }
+
+    /**
+     * Tells whether a node is only kept in the DOM for its leave transition.
+     * 
+     * @private
+     * @param {Node} node
+     * @returns {boolean}
+     */
+    static _isLeaving(node) {
+        return node instanceof Element && transitions.get(node)?.leaving === true;
+    }
+
+    /**
+     * Registers, updates or drops the transition of an element from its
+     * `transition` attribute.
+     * 
+     * @private
+     * @param {Element} element
+     * @param {string|boolean|Partial<TransitionConfig>|null|undefined} transition
+     * @returns {boolean} True if the element has a transition
+     */
+    static _trackTransition(element, transition) {
+        const state = transitions.get(element);
+        if (!transition) {
+            state?.cancel?.();
+            transitions.delete(element);
+            return false;
+        }
+
+        /** @type {TransitionConfig} */
+        const config = typeof transition === 'object'
+            ? { name: 'transition', ...transition }
+            : { name: typeof transition === 'string' ? transition : 'transition' };
+        if (state) {
+            state.config = config;
+        } else {
+            transitions.set(element, { config, leaving: false, cancel: null });
+        }
+        return true;
+    }
+
+    /**
+     * Removes a node from its parent, after its leave transition if it has one.
+     * A node already leaving is left to finish.
+     * 
+     * @private
+     * @param {Node} parent
+     * @param {Node} node
+     */
+    static _removeNode(parent, node) {
+        const state = node instanceof Element ? transitions.get(node) : undefined;
+        if (!state) {
+            parent.removeChild(node);
+            return;
+        }
+        if (state.leaving) return;
+
+        state.leaving = true;
+        const element = /** @type {Element} */ (node);
+        this._runTransition(element, 'leave', () => {
+            transitions.delete(element);
+            element.parentNode?.removeChild(element);
+        });
+    }
+
+    /**
+     * Plays the enter or leave phase of a transition: the `from` and `active`
+     * classes right away, `to` instead of `from` on the next frame, and none
+     * once the transition ends. Starting a phase cancels the running one.
+     * 
+     * @private
+     * @param {Element} element - Element with a tracked transition
+     * @param {'enter'|'leave'} phase
+     * @param {() => void} [done] - Called when the phase ends, not when it is cancelled
+     */
+    static _runTransition(element, phase, done) {
+        const state = /** @type {TransitionState} */ (transitions.get(element));
+        state.cancel?.();
+
+        const prefix = `${state.config.name}-${phase}`;
+        const classes = [`${prefix}-from`, `${prefix}-active`, `${prefix}-to`];
+        element.classList.add(classes[0], classes[1]);
+
+        const cleanup = () => {
+            element.classList.remove(...classes);
+            state.cancel = null;
+        };
+        let stop = nextFrame(() => {
+            // Commit the `from` styles so the change to `to` is transitioned
+            element.getBoundingClientRect();
+            element.classList.remove(classes[0]);
+            element.classList.add(classes[2]);
+            stop = this._whenTransitionEnds(element, state.config, () => {
+                cleanup();
+                done?.();
+            });
+        });
+        state.cancel = () => {
+            stop();
+            cleanup();
+        };
+    }
+
+    /**
+     * Records where transitioned elements are before a reorder, for _playMoves().
+     * 
+     * @private
+     * @param {Node[]} nodes
+     * @returns {Map<Element, DOMRect>}
+     */
+    static _measureMoves(nodes) {
+        /** @type {Map<Element, DOMRect>} */
+        const rects = new Map();
+        nodes.forEach(node => {
+            if (node instanceof Element && transitions.has(node) && !this._isLeaving(node)) {
+                rects.set(node, node.getBoundingClientRect());
+            }
+        });
+        return rects;
+    }
+
+    /**
+     * Slides elements that moved from their recorded position (FLIP): each is
+     * shifted back to where it was, then released on the next frame with the
+     * `move` class so the transform is transitioned away. Inline `transform`
+     * and `transition-duration` values of the element are put back after.
+     * 
+     * @private
+     * @param {Map<Element, DOMRect>} firstRects
+     */
+    static _playMoves(firstRects) {
+        firstRects.forEach((first, element) => {
+            const state = transitions.get(element);
+            if (!state || state.leaving || !element.isConnected) return;
+
+            const last = element.getBoundingClientRect();
+            const dx = first.left - last.left;
+            const dy = first.top - last.top;
+            if (dx === 0 && dy === 0) return;
+
+            state.cancel?.();
+            const style = /** @type {HTMLElement|SVGElement} */ (element).style;
+            const moveClass = `${state.config.name}-move`;
+            const { transform, transitionDuration } = style;
+            const shifted = `translate(${dx}px, ${dy}px)`;
+            style.transform = shifted;
+            style.transitionDuration = '0s';
+
+            // Values a patch set in the meantime are kept
+            const restore = () => {
+                if (style.transform === shifted) style.transform = transform;
+                if (style.transitionDuration === '0s') style.transitionDuration = transitionDuration;
+            };
+            const cleanup = () => {
+                element.classList.remove(moveClass);
+                restore();
+                state.cancel = null;
+            };
+            let stop = nextFrame(() => {
+                element.getBoundingClientRect();
+                element.classList.add(moveClass);
+                restore();
+                stop = this._whenTransitionEnds(element, state.config, cleanup);
+            });
+            state.cancel = () => {
+                stop();
+                cleanup();
+            };
+        });
+    }
+
+    /**
+     * Calls back once the transition or animation now running on an element
+     * ends: on its longest `transitionend`/`animationend`, or after the
+     * configured timeout or the longest CSS duration plus delay. Elements
+     * without CSS durations end right away.
+     * 
+     * @private
+     * @param {Element} element
+     * @param {TransitionConfig} config
+     * @param {() => void} done
+     * @returns {() => void} Stops waiting without calling back
+     */
+    static _whenTransitionEnds(element, config, done) {
+        const computed = getComputedStyle(element);
+        /** @param {string} list - e.g. '0.3s, 200ms' */
+        const toMs = (list) => (list || '0s').split(',').map(time => parseFloat(time) * (/ms\s*$/.test(time) ? 1 : 1000) || 0);
+        /** @type {(durations: number[], delays: number[]) => number} */
+        const longest = (durations, delays) =>
+            durations.reduce((max, duration, i) => Math.max(max, duration + delays[i % delays.length]), 0);
+
+        const transitionDurations = toMs(computed.transitionDuration);
+        const animationDurations = toMs(computed.animationDuration);
+        const duration = Math.max(...transitionDurations, ...animationDurations);
+        const timeout = config.timeout ?? Math.max(
+            longest(transitionDurations, toMs(computed.transitionDelay)),
+            longest(animationDurations, toMs(computed.animationDelay))
+        );
+
+        if (timeout <= 0) {
+            done();
+            return () => { };
+        }
+
+        /** @param {any} event - TransitionEvent or AnimationEvent */
+        const onEnd = (event) => {
+            // Bubbled events of children and shorter properties do not count
+            if (event.target === element && event.elapsedTime * 1000 >= duration - 1) finish();
+        };
+        const stop = () => {
+            clearTimeout(timer);
+            element.removeEventListener('transitionend', onEnd);
+            element.removeEventListener('animationend', onEnd);
+        };
+        const finish = () => {
+            stop();
+            done();
+        };
+        const timer = setTimeout(finish, timeout);
+        element.addEventListener('transitionend', onEnd);
+        element.addEventListener('animationend', onEnd);
+        return stop;
+    }
+
+    /**
+     * Builds the props a component receives: its attrs plus children, without key and ref.
+     * 
+     * @private
+     * @param {VNode} vnode
+     * @returns {Record<string, any>}
+     */
+    static _getProps(vnode) {
+        const { key, ref, ...props } = vnode.attrs || {};
+        return { ...props, children: vnode.children || [] };
+    }
+
+    /**
+     * Tells class components apart from plain render functions.
+     * 
+     * @private
+     * @param {Function} component
+     * @returns {boolean}
+     */
+    static _isClassComponent(component) {
+        return typeof component.prototype?.render === 'function';
+    }
+
+    /**
+     * Tells whether an element keeps user-editable state in its properties.
+     * 
+     * @private
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    static _isFormControl(element) {
+        return element instanceof HTMLInputElement
+            || element instanceof HTMLTextAreaElement
+            || element instanceof HTMLSelectElement;
+    }
+
+    /**
+     * Writes `value` and `checked` from the attrs into a form control's
+     * properties when they differ from what the control currently shows.
+     * 
+     * @private
+     * @param {Element} element
+     * @param {Object<string, any>} attrs
+     */
+    static _syncFormState(element, attrs) {
+        if (element instanceof HTMLSelectElement) {
+            if ('value' in attrs) this._setSelectValue(element, attrs.value);
+            return;
+        }
+
+        if (!(element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement)) return;
+
+        if ('value' in attrs) {
+            this._setControlValue(element, attrs.value);
+        }
+        if ('checked' in attrs && element instanceof HTMLInputElement && element.checked !== !!attrs.checked) {
+            element.checked = !!attrs.checked;
+        }
+    }
+
+    /**
+     * Sets the value of an input or textarea, keeping the caret in place
+     * while the user is typing in it.
+     * 
+     * @private
+     * @param {HTMLInputElement|HTMLTextAreaElement} control
+     * @param {any} value
+     */
+    static _setControlValue(control, value) {
+        const next = value == null ? '' : String(value);
+        if (control.value === next) return;
+
+        // Only text-like inputs have a selection, number or email report null
+        const { selectionStart, selectionEnd, selectionDirection } = control;
+        const focused = control.ownerDocument.activeElement === control;
+        control.value = next;
+
+        if (focused && typeof selectionStart === 'number' && typeof selectionEnd === 'number') {
+            control.setSelectionRange(
+                Math.min(selectionStart, next.length),
+                Math.min(selectionEnd, next.length),
+                selectionDirection || undefined
+            );
+        }
+    }
+
+    /**
+     * Selects the options of a select matching a value, or an array of values
+     * for `multiple` selects.
+     * 
+     * @private
+     * @param {HTMLSelectElement} select
+     * @param {any} value
+     */
+    static _setSelectValue(select, value) {
+        if (select.multiple) {
+            const values = new Set((Array.isArray(value) ? value : [value]).map(String));
+            Array.from(select.options).forEach(option => {
+                const selected = values.has(option.value);
+                if (option.selected !== selected) option.selected = selected;
+            });
+            return;
+        }
+
+        const next = value == null ? '' : String(value);
+        if (select.value !== next) select.value = next;
+    }
+
+    /**
+     * Flattens a class value into its class names, without duplicates.
+     * 
+     * @private
+     * @param {any} value - String, array or `{ name: boolean }`, nested freely
+     * @returns {string[]}
+     */
+    static _classList(value) {
+        /** @type {Set<string>} */
+        const classes = new Set();
+        /** @param {any} item */
+        const add = (item) => {
+            if (!item) return;
+            if (typeof item === 'string') {
+                item.split(/\s+/).forEach(name => name && classes.add(name));
+            } else if (Array.isArray(item)) {
+                item.forEach(add);
+            } else if (typeof item === 'object') {
+                Object.keys(item).forEach(name => item[name] && add(name));
+            } else {
+                classes.add(String(item));
+            }
+        };
+        add(value);
+        return Array.from(classes);
+    }
+
+    /**
+     * Normalizes a class value to the string of the class attribute.
+     * 
+     * @private
+     * @param {any} value
+     * @returns {string}
+     */
+    static _classString(value) {
+        return this._classList(value).join(' ');
+    }
+
+    /**
+     * Adds the class names that are new and removes those that are gone.
+     * 
+     * @private
+     * @param {Element} element
+     * @param {any} newValue - New class value, null to remove all previous names
+     * @param {any} oldValue - Class value previously applied
+     */
+    static _patchClass(element, newValue, oldValue) {
+        const next = new Set(this._classList(newValue));
+        const prev = new Set(this._classList(oldValue));
+        prev.forEach(name => {
+            if (!next.has(name)) element.classList.remove(name);
+        });
+        next.forEach(name => {
+            if (!prev.has(name)) element.classList.add(name);
+        });
+        if (element.classList.length === 0) element.removeAttribute('class');
+    }
+
+    /**
+     * Turns a style value into CSS declarations by property name.
+     * Object keys may be camelCase (`fontSize`, `WebkitTransition`), dashed
+     * or custom properties (`--gap`); empty, null and false values are left out.
+     * Values keep their `!important` suffix.
+     * 
+     * @private
+     * @param {any} style - CSS string or style object
+     * @returns {Object<string, string>} e.g. { 'font-size': '16px' }
+     */
+    static _styleDeclarations(style) {
+        /** @type {Object<string, string>} */
+        const declarations = {};
+        if (!style) return declarations;
+
+        if (typeof style === 'string') {
+            // Semicolons inside quotes or parentheses, as in url(), do not end a declaration
+            (style.match(/(?:[^;("']|\([^)]*\)|"[^"]*"|'[^']*')+/g) || []).forEach(declaration => {
+                const colon = declaration.indexOf(':');
+                if (colon === -1) return;
+                const name = declaration.slice(0, colon).trim();
+                const value = declaration.slice(colon + 1).trim();
+                if (name && value) declarations[name.startsWith('--') ? name : name.toLowerCase()] = value;
+            });
+            return declarations;
+        }
+
+        Object.entries(style).forEach(([property, value]) => {
+            if (value == null || value === '' || value === false) return;
+            const name = property.startsWith('--')
+                ? property
+                : property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`).replace(/^ms-/, '-ms-');
+            declarations[name] = String(value).trim();
+        });
+        return declarations;
+    }
+
+    /**
+     * Sets the style properties that changed and removes those that are gone.
+     * 
+     * @private
+     * @param {Element} element
+     * @param {any} newStyle - New style value, null to remove all previous properties
+     * @param {any} oldStyle - Style value previously applied, null if unknown
+     */
+    static _patchStyle(element, newStyle, oldStyle) {
+        const style = /** @type {HTMLElement|SVGElement} */ (element).style;
+        if (!style) return;
+
+        const next = this._styleDeclarations(newStyle);
+        const prev = this._styleDeclarations(oldStyle);
+        Object.keys(prev).forEach(name => {
+            if (!(name in next)) style.removeProperty(name);
+        });
+        Object.entries(next).forEach(([name, value]) => {
+            if (prev[name] === value) return;
+            const important = /\s*!important$/i;
+            style.setProperty(name, value.replace(important, ''), important.test(value) ? 'important' : '');
+        });
+        if (style.length === 0) element.removeAttribute('style');
+    }
+
+    /**
+     * Picks the namespace of an element: `svg` and `math` open their own,
+     * every other tag inherits the one of its parent.
+     * 
+     * @private
+     * @param {string} tag
+     * @param {string|null} parentNamespace
+     * @returns {string|null} Namespace URI, or null for HTML
+     */
+    static _namespaceFor(tag, parentNamespace) {
+        return ELEMENT_NAMESPACES[tag] || parentNamespace;
+    }
+
+    /**
+     * Namespace that children created inside an existing DOM node belong to.
+     * 
+     * @private
+     * @param {Node|null} parent
+     * @returns {string|null} Namespace URI, or null for HTML
+     */
+    static _namespaceOf(parent) {
+        if (!(parent instanceof Element) || parent instanceof HTMLElement) return null;
+        if (parent.localName === 'foreignObject') return null;
+        return parent.namespaceURI;
+    }
+
+    /**
+     * Namespace of a prefixed attribute name like `xlink:href`, if any.
+     * 
+     * @private
+     * @param {string} key
+     * @returns {string|null}
+     */
+    static _attributeNamespace(key) {
+        const colon = key.indexOf(':');
+        if (colon === -1) return null;
+        return ATTRIBUTE_NAMESPACES[key.slice(0, colon)] || null;
+    }
+
+    /**
+     * Runs a Dom operation and flushes queued lifecycle hooks
+     * once the outermost operation has finished. The outermost
+     * operation is also timed for the `dom:patch` instrumentation event.
+     * When it throws, its hooks are dropped: the nodes they were
+     * queued for may never have been inserted.
+     * 
+     * @private
+     * @template T
+     * @param {() => T} operation
+     * @returns {T}
+     */
+    static _withLifecycle(operation) {
+        const start = renderDepth === 0 && Instrumentation.isObserved('dom:patch') ? performance.now() : null;
+        if (renderDepth === 0) {
+            patchStats.created = patchStats.replaced = patchStats.removed = 0;
+        }
+
+        let completed = false;
+        renderDepth++;
+        try {
+            const result = operation();
+            completed = true;
+            return result;
+        } finally {
+            renderDepth--;
+            if (renderDepth === 0) {
+                if (start !== null) {
+                    Instrumentation.emit('dom:patch', { duration: performance.now() - start, ...patchStats });
+                }
+                if (completed) {
+                    const hooks = pendingHooks.splice(0);
+                    hooks.forEach(hook => hook());
+                } else {
+                    this._dropHooks(0);
+                }
+            }
+        }
+    }
+
+    /**
+     * Finds the new indices whose old indices form the longest increasing run.
+     * Those nodes are already in relative order and never need to move.
+     * 
+     * @private
+     * @param {number[]} sources - Old index per new position, -1 for new nodes
+     * @returns {Set<number>} New positions that can stay in place
+     */
+    static _longestIncreasingSubsequence(sources) {
+        /** @type {number[]} Positions of the smallest tail for each run length */
+        const tails = [];
+        /** @type {number[]} */
+        const previous = new Array(sources.length).fill(-1);
+
+        sources.forEach((value, i) => {
+            if (value === -1) return;
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (sources[tails[mid]] < value) low = mid + 1;
+                else high = mid;
+            }
+            if (low > 0) previous[i] = tails[low - 1];
+            tails[low] = i;
+        });
+
+        const result = new Set();
+        let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+        while (i !== -1) {
+            result.add(i);
+            i = previous[i];
+        }
+        return result;
+    }
+
+    /**
+     * Efficiently renders a VNode tree with smart diffing against previous version.
+     * Automatically handles initial render and subsequent updates.
+     * 
+     * @param {HTMLElement} container - The target DOM container
+     * @param {VNode} newVTree - The complete new VNode tree
+     * @param {VNode|null} [oldVTree=null] - Previous VNode tree for diffing
+     * 
+     * @example
+     * // Initial render
+     * Dom.renderWithDiff(app, vtree);
      * 
      * @example
      * // Subsequent update
      * Dom.renderWithDiff(app, newVtree, oldVtree);
      */
     static renderWithDiff(container, newVTree, oldVTree = null) {
-        if (!oldVTree) {
-            // Initial render
-            if (container instanceof HTMLElement) {
-                container.innerHTML = '';
+        this._withLifecycle(() => {
+            if (!oldVTree) {
+                // Initial render
+                if (container instanceof HTMLElement) {
+                    container.innerHTML = '';
+                }
+                if (newVTree) {
+                    container.appendChild(this.createFromVNode(newVTree));
+                }
+            } else {
+                // Efficient update using diffing
+                this.patch(container, newVTree, oldVTree, 0);
             }
-            if (newVTree) {
-                container.appendChild(this.createFromVNode(newVTree));
+        });
+    }
+
+    /**
+     * Serializes a VNode tree to an HTML string, without touching the DOM.
+     * Meant for rendering the first page on the server; event handlers are
+     * left out and wired up later by hydrate(). Components are rendered but
+     * their lifecycle hooks are not called, and portals render nothing.
+     * 
+     * @param {VNode|string|number} vnode - The VNode tree to serialize
+     * @returns {string} The HTML markup
+     * 
+     * @example
+     * // On the server
+     * const html = `<div id="app">${Dom.renderToString(view(state))}</div>`;
+     */
+    static renderToString(vnode) {
+        return this._toHTML(this._normalizeChild(vnode), null, null);
+    }
+
+    /**
+     * Attaches a VNode tree to markup that is already in the container,
+     * typically produced by renderToString(). Existing DOM nodes are reused,
+     * `on*` handlers are wired up and components are mounted. Mismatches are
+     * reported with Logger.warn() and fixed up in place.
+     * 
+     * @param {Element} container - Element holding the server-rendered markup
+     * @param {VNode} vnode - The same VNode tree that produced the markup
+     * 
+     * @example
+     * const vtree = view(state);
+     * Dom.hydrate(app, vtree);
+     * // Later updates diff against the hydrated tree
+     * Dom.renderWithDiff(app, view(newState), vtree);
+     */
+    static hydrate(container, vnode) {
+        this._withLifecycle(() => {
+            const claimed = this._hydrateNode(container, this._normalizeChild(vnode), container.firstChild);
+            this._removeUnclaimed(container, claimed[claimed.length - 1].nextSibling);
+        });
+    }
+
+    /**
+     * Serializes a normalized VNode, see renderToString().
+     * 
+     * @private
+     * @param {VNode} vnode
+     * @param {string|null} namespace - Namespace inherited from the parent element
+     * @param {string|null} parentTag - Tag of the enclosing element, for raw text
+     * @param {any} [selectValue] - Value of the enclosing select, for its options
+     * @returns {string}
+     */
+    static _toHTML(vnode, namespace, parentTag, selectValue) {
+        if (typeof vnode.tag === 'function') {
+            return this._toHTML(this._renderComponent(vnode), namespace, parentTag, selectValue);
+        }
+
+        if (vnode.tag === 'TEXT_NODE') {
+            const text = String(vnode.children?.[0] ?? '');
+            return parentTag && RAW_TEXT_ELEMENTS.has(parentTag) ? this._rawText(text) : this._escapeHTML(text);
+        }
+
+        // Portal content is only rendered on the client, by hydrate()
+        if (vnode.tag === Dom.Portal) return '';
+
+        if (vnode.tag === Dom.ErrorBoundary) {
+            const boundary = this._boundaryOf(vnode, null);
+            if (!boundary.error) {
+                try {
+                    return this._toHTML(this._boundaryContent(vnode), namespace, parentTag, selectValue);
+                } catch (error) {
+                    this._captureError(boundary, this._renderError(error, vnode));
+                }
             }
+            return this._toHTML(this._boundaryContent(vnode), namespace, parentTag, selectValue);
+        }
+
+        if (vnode.tag === Dom.Fragment) {
+            return this._fragmentChildren(vnode)
+                .map(child => this._toHTML(child, namespace, parentTag, selectValue))
+                .join('');
+        }
+
+        const tag = vnode.tag;
+        const elementNamespace = this._namespaceFor(tag, namespace);
+        const props = vnode.attrs || {};
+        /** @type {Object<string, any>} */
+        let attrs = props;
+        if (!elementNamespace && VALUE_AS_CONTENT.has(tag)) {
+            attrs = { ...props };
+            delete attrs.value;
+        } else if (tag === 'option' && selectValue != null && !('selected' in props)) {
+            attrs = { ...props, selected: this._isSelectedOption(vnode, selectValue) };
+        }
+        let html = `<${tag}${this._attributesToHTML(attrs, elementNamespace)}>`;
+
+        if (!elementNamespace && VOID_ELEMENTS.has(tag)) return html;
+
+        if (typeof props.innerHTML === 'string') {
+            html += props.innerHTML;
+        } else if (tag === 'textarea' && props.value != null) {
+            html += this._escapeHTML(String(props.value));
         } else {
-            // Efficient update using diffing
-            this.patch(container, newVTree, oldVTree, 0);
+            const childNamespace = tag === 'foreignObject' ? null : elementNamespace;
+            // Options inside an optgroup still belong to the select
+            const childSelectValue = tag === 'select' ? props.value : tag === 'optgroup' ? selectValue : undefined;
+            (vnode.children || []).forEach(child => {
+                html += this._toHTML(this._normalizeChild(child), childNamespace, tag, childSelectValue);
+            });
+        }
+
+        return `${html}</${tag}>`;
+    }
+
+    /**
+     * Tells whether an option is selected by the value of its select, an
+     * array for a multiple select. Without a value prop, an option's value
+     * is its text.
+     * 
+     * @private
+     * @param {VNode} option
+     * @param {any} selectValue
+     * @returns {boolean}
+     */
+    static _isSelectedOption(option, selectValue) {
+        const value = option.attrs?.value ?? (option.children || [])
+            .map(child => this._normalizeChild(child))
+            .filter(child => child.tag === 'TEXT_NODE')
+            .map(child => String(child.children?.[0] ?? ''))
+            .join('')
+            .trim()
+            .replace(/\s+/g, ' ');
+        const values = Array.isArray(selectValue) ? selectValue : [selectValue];
+        return values.some(v => String(v) === String(value));
+    }
+
+    /**
+     * Serializes element attributes, each with a leading space.
+     * Names that are not valid in markup are skipped.
+     * 
+     * @private
+     * @param {Object<string, any>} attrs
+     * @param {string|null} namespace - Element namespace, null for HTML
+     * @returns {string}
+     */
+    static _attributesToHTML(attrs, namespace) {
+        let html = '';
+        Object.entries(attrs).forEach(([key, value]) => {
+            const name = this._attributeName(key, namespace);
+            if (name === null) return;
+            if (!SAFE_ATTRIBUTE_NAME.test(name)) {
+                Logger.warn('DOM', `Invalid attribute name "${name}" skipped in server rendering`);
+                return;
+            }
+
+            if (name === 'class') {
+                value = this._classString(value) || null;
+            } else if (name === 'style') {
+                value = this._styleToString(value) || null;
+            }
+
+            // Boolean attributes are present or absent, except ARIA and data values
+            if (typeof value === 'boolean' && !/^(aria|data)-/.test(name)) {
+                if (value) html += ` ${name}`;
+                return;
+            }
+            if (value == null) return;
+
+            html += ` ${name}="${this._escapeHTML(String(value), true)}"`;
+        });
+        return html;
+    }
+
+    /**
+     * Maps a VNode attribute key to the HTML attribute written for it,
+     * or null for keys that never become attributes.
+     * 
+     * @private
+     * @param {string} key
+     * @param {string|null} namespace - Element namespace, null for HTML
+     * @returns {string|null}
+     */
+    static _attributeName(key, namespace) {
+        if (key === 'key' || key === 'ref' || key === 'transition' || key === 'innerHTML' || key.startsWith('on')) return null;
+        if (ATTRIBUTE_ALIASES[key]) return ATTRIBUTE_ALIASES[key];
+        // HTML properties like tabIndex or readOnly map to lowercase attributes
+        return namespace ? key : key.toLowerCase();
+    }
+
+    /**
+     * Turns a style value into an inline CSS declaration list.
+     * 
+     * @private
+     * @param {any} style - CSS string or style object, e.g. { fontSize: '16px' }
+     * @returns {string} e.g. 'font-size:16px'
+     */
+    static _styleToString(style) {
+        return Object.entries(this._styleDeclarations(style))
+            .map(([name, value]) => `${name}:${value}`)
+            .join(';');
+    }
+
+    /**
+     * Escapes the text of a script or style element, which HTML entities
+     * cannot be used in: only `</` is written as `<\/`.
+     * 
+     * @private
+     * @param {string} text
+     * @returns {string}
+     */
+    static _rawText(text) {
+        return text.replace(/<\//g, '<\\/');
+    }
+
+    /**
+     * Escapes text for HTML content, or for a double-quoted attribute value.
+     * 
+     * @private
+     * @param {string} text
+     * @param {boolean} [inAttribute=false]
+     * @returns {string}
+     */
+    static _escapeHTML(text, inAttribute = false) {
+        const escaped = text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+        return inAttribute ? escaped.replace(/"/g, '&quot;') : escaped;
+    }
+
+    /**
+     * Claims the existing DOM nodes for a normalized VNode, starting at `current`.
+     * Missing or mismatching nodes are created and put in place.
+     * 
+     * @private
+     * @param {Node} parent - Parent DOM node being hydrated
+     * @param {VNode} vnode
+     * @param {Node|null} current - First DOM node not claimed yet
+     * @returns {Node[]} The DOM nodes now representing vnode
+     */
+    static _hydrateNode(parent, vnode, current) {
+        if (typeof vnode.tag === 'function') {
+            const nodes = this._hydrateNode(parent, this._renderComponent(vnode), current);
+            this._queueMount(vnode);
+            return nodes;
+        }
+
+        if (vnode.tag === Dom.ErrorBoundary) {
+            // Errors cannot be contained while claiming markup, they are thrown
+            const outer = activeBoundary;
+            activeBoundary = this._boundaryOf(vnode, null);
+            try {
+                return this._hydrateNode(parent, this._boundaryContent(vnode), current);
+            } finally {
+                activeBoundary = outer;
+            }
+        }
+
+        if (vnode.tag === Dom.Portal) {
+            const claimed = this._hydrateNode(parent, this._normalizeChild(''), current);
+            vnode._el = claimed[0];
+            this._mountPortal(vnode);
+            return claimed;
+        }
+
+        if (vnode.tag === Dom.Fragment) {
+            /** @type {Node[]} */
+            const nodes = [];
+            this._fragmentChildren(vnode).forEach(child => {
+                const claimed = this._hydrateNode(parent, child, current);
+                current = claimed[claimed.length - 1].nextSibling;
+                nodes.push(...claimed);
+            });
+            vnode._el = nodes[0];
+            return nodes;
+        }
+
+        if (vnode.tag === 'TEXT_NODE') {
+            const text = String(vnode.children?.[0] ?? '');
+            // Script and style text is in the markup as _rawText() wrote it
+            const written = parent instanceof Element && RAW_TEXT_ELEMENTS.has(parent.localName) ? this._rawText(text) : text;
+            let node = current;
+
+            if (node instanceof Text && node.data !== text && node.data !== written) {
+                if (text !== '' && node.data.startsWith(text)) {
+                    // Adjacent text children were merged into one node by the HTML parser
+                    node.splitText(text.length);
+                } else if (text === '') {
+                    node = parent.insertBefore(this.createTextNode(''), node);
+                } else {
+                    Logger.warn('DOM', `Hydration mismatch: expected text "${text}", found "${node.data}"`);
+                    node.data = text;
+                }
+            } else if (!(node instanceof Text)) {
+                // Empty text never makes it into the markup, anything else is missing
+                if (text !== '') {
+                    Logger.warn('DOM', `Hydration mismatch: expected text "${text}", found`, node);
+                }
+                node = parent.insertBefore(this.createTextNode(text), node);
+            }
+
+            vnode._el = node;
+            return [node];
+        }
+
+        const tag = vnode.tag;
+        if (!(current instanceof Element) || (current.localName !== tag && current.localName !== tag.toLowerCase())) {
+            Logger.warn('DOM', `Hydration mismatch: expected <${tag}>, found`, current);
+            const node = this._createNode(vnode, this._namespaceOf(parent));
+            if (current) {
+                parent.replaceChild(node, current);
+            } else {
+                parent.appendChild(node);
+            }
+            return [node];
+        }
+
+        const element = current;
+        vnode._el = element;
+        this._hydrateAttributes(element, vnode.attrs || {});
+        this._queueRef(vnode.attrs?.ref, element);
+        this._trackTransition(element, vnode.attrs?.transition);
+
+        // A textarea value was written as its content, see _toHTML()
+        const valueAsContent = tag === 'textarea' && vnode.attrs?.value != null;
+        if (typeof vnode.attrs?.innerHTML !== 'string' && !valueAsContent) {
+            /** @type {Node|null} */
+            let child = element.firstChild;
+            (vnode.children || []).forEach(childVNode => {
+                const claimed = this._hydrateNode(element, this._normalizeChild(childVNode), child);
+                child = claimed[claimed.length - 1].nextSibling;
+            });
+            this._removeUnclaimed(element, child);
+        }
+
+        // Anything typed before hydration gives way to the VNode
+        this._syncFormState(element, vnode.attrs || {});
+
+        return [element];
+    }
+
+    /**
+     * Wires up event handlers on a server-rendered element and
+     * fixes attributes that differ from the VNode.
+     * 
+     * @private
+     * @param {Element} element
+     * @param {Object<string, any>} attrs
+     */
+    static _hydrateAttributes(element, attrs) {
+        const namespace = element instanceof HTMLElement ? null : element.namespaceURI;
+        Object.entries(attrs).forEach(([key, value]) => {
+            if (key.startsWith('on') && typeof value === 'function') {
+                this.setAttribute(element, key, value);
+                return;
+            }
+
+            const name = this._attributeName(key, namespace);
+
+            // Not in the markup, _hydrateNode() syncs it with the form state
+            if (name === 'value' && !namespace && VALUE_AS_CONTENT.has(element.localName)) return;
+
+            // Compared normalized, so spacing and order of the markup do not matter
+            if (name === 'class' || name === 'style') {
+                const actual = element.getAttribute(name);
+                const normalize = name === 'class'
+                    ? (/** @type {any} */ v) => this._classList(v).sort().join(' ')
+                    : (/** @type {any} */ v) => this._styleToString(this._styleDeclarations(v));
+                if (normalize(actual) !== normalize(value)) {
+                    Logger.warn('DOM', `Hydration mismatch: <${element.localName}> ${name}="${actual}", expected "${normalize(value)}"`);
+                    if (name === 'class') this._patchClass(element, value, actual);
+                    else this._patchStyle(element, value, actual);
+                }
+                return;
+            }
+
+            // Only plain values can be compared with the markup
+            if (name === null || value == null || typeof value === 'boolean' || typeof value === 'object') return;
+
+            const actual = element.getAttribute(name);
+            if (actual !== String(value)) {
+                Logger.warn('DOM', `Hydration mismatch: <${element.localName}> ${name}="${actual}", expected "${value}"`);
+                this.setAttribute(element, key, value);
+            }
+        });
+    }
+
+    /**
+     * Removes the markup left over after the last claimed node.
+     * 
+     * @private
+     * @param {Node} parent
+     * @param {Node|null} node - First node that was not claimed
+     */
+    static _removeUnclaimed(parent, node) {
+        while (node) {
+            const next = node.nextSibling;
+            Logger.warn('DOM', 'Hydration mismatch: removing extra node', node);
+            parent.removeChild(node);
+            node = next;
         }
     }
 }
@@ -9,15 +9,192 @@
  * @property {number} id
  * @property {string} event
  * @property {string} selector
+ * @property {string[]} namespaces - From the event name and the group option, for off()
  * @property {EventCallback} callback
+ * @property {EventOptions} options - From the modifiers and the options argument
+ * @property {EventCallback} invoke - The callback with its modifiers applied
+ * @property {(() => void)|null} cancel - Drops a pending debounced call
  * @property {Map<Element, EventListener>} domListeners
  * @property {EventListener|null} windowListener
  */
+/**
+ * @typedef {Object} EventOptions
+ * @property {boolean} [once] - Remove the handler after its first call
+ * @property {boolean} [passive] - Register a passive listener, preventDefault() is not allowed
+ * @property {boolean} [capture] - Listen in the capture phase
+ * @property {AbortSignal} [signal] - Remove the handler when the signal aborts
+ * @property {boolean} [prevent] - Call preventDefault() before the callback
+ * @property {boolean} [stop] - Call stopPropagation() before the callback
+ * @property {boolean} [self] - Only call back when the element itself is the event target
+ * @property {number} [debounce] - Call back once no event came for this many milliseconds
+ * @property {number} [throttle] - Call back at most once every this many milliseconds
+ * @property {string[]} [keys] - Only call back for these keys, e.g. 'enter', 'esc' or 'k'
+ * @property {string[]} [modifiers] - System keys that must be held: 'ctrl', 'shift', 'alt', 'meta'
+ * @property {string} [group] - Namespace the handler belongs to, like a `.group` suffix
+ */
+/**
+ * @typedef {Object} RootListener
+ * @property {string} event
+ * @property {boolean} capture
+ * @property {EventListener} listener
+ */
 
 import { FrameworkError } from "./errors.js"
+import { Logger } from "./logger.js"
+import { Instrumentation } from "./instrumentation.js"
+import { GestureRecognizer } from "./gestures.js"
+
+/**
+ * Events that do not bubble, delegated in the capture phase instead.
+ */
+const NON_BUBBLING_EVENTS = new Set([
+    'focus', 'blur', 'scroll', 'load', 'error', 'mouseenter', 'mouseleave',
+    'pointerenter', 'pointerleave', 'invalid', 'toggle'
+]);
+
+/**
+ * Modifiers that switch an option on.
+ */
+const FLAG_MODIFIERS = new Set(['once', 'passive', 'capture', 'prevent', 'stop', 'self']);
+
+/**
+ * Key modifiers, by the lowercased `KeyboardEvent.key` they match.
+ * Single letters and digits are accepted as they are.
+ * @type {Record<string, string>}
+ */
+const KEY_NAMES = {
+    enter: 'enter', tab: 'tab', esc: 'escape', escape: 'escape', space: ' ',
+    up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright',
+    delete: 'delete', backspace: 'backspace', home: 'home', end: 'end',
+    pageup: 'pageup', pagedown: 'pagedown'
+};
+
+/**
+ * System key modifiers, by the event property telling they are held.
+ * @type {Record<string, 'ctrlKey'|'shiftKey'|'altKey'|'metaKey'>}
+ */
+const SYSTEM_KEYS = { ctrl: 'ctrlKey', shift: 'shiftKey', alt: 'altKey', meta: 'metaKey' };
+
+/**
+ * Namespaces are words, letters, digits, '_' and '-'.
+ */
+const NAMESPACE = /^[\w-]+$/;
+
+/**
+ * Splits an event name like 'keydown.enter.prevent', 'scroll.passive.throttle(100)'
+ * or 'click.modal' into its type, the options its modifiers stand for and its
+ * namespaces. Key names are only modifiers of keyboard events, other words are namespaces.
+ * @param {string} name
+ * @returns {{ type: string, options: EventOptions, namespaces: string[] }}
+ * @throws {FrameworkError} If a modifier is malformed
+ */
+function parseEventName(name) {
+    // Dots inside parentheses are part of the modifier
+    const [type, ...modifiers] = name.split(/\.(?![^(]*\))/);
+    const keyboard = type.startsWith('key');
+    /** @type {EventOptions} */
+    const options = {};
+    /** @type {string[]} */
+    const namespaces = [];
+
+    modifiers.forEach(modifier => {
+        const timed = /^(debounce|throttle)\((\d+)\)$/.exec(modifier);
+        if (timed) {
+            if (timed[1] === 'debounce') options.debounce = Number(timed[2]);
+            else options.throttle = Number(timed[2]);
+        } else if (FLAG_MODIFIERS.has(modifier)) {
+            options[/** @type {'once'|'passive'|'capture'|'prevent'|'stop'|'self'} */ (modifier)] = true;
+        } else if (modifier in SYSTEM_KEYS) {
+            options.modifiers = [...(options.modifiers || []), modifier];
+        } else if (keyboard && (modifier in KEY_NAMES || /^[a-z0-9]$/.test(modifier))) {
+            options.keys = [...(options.keys || []), modifier];
+        } else if (NAMESPACE.test(modifier)) {
+            namespaces.push(modifier);
+        } else {
+            throw new FrameworkError(
+                'EVENT',
+                'INVALID_MODIFIER',
+                `"${modifier}" is neither a modifier nor a namespace`,
+                { event: name, modifier }
+            );
+        }
+    });
+
+    return { type, options, namespaces };
+}
+
+/**
+ * Rejects options that cannot work together or have the wrong type.
+ * @param {EventOptions} options
+ * @param {string} event - Event name, for the error
+ * @throws {FrameworkError}
+ */
+function checkOptions(options, event) {
+    /** @param {string} message */
+    const fail = (message) => {
+        throw new FrameworkError('EVENT', 'INVALID_OPTIONS', message, { event });
+    };
+
+    ['debounce', 'throttle'].forEach(name => {
+        const value = options[/** @type {'debounce'|'throttle'} */ (name)];
+        if (value !== undefined && !(typeof value === 'number' && value >= 0 && isFinite(value))) {
+            fail(`"${name}" must be a number of milliseconds`);
+        }
+    });
+    if (options.debounce !== undefined && options.throttle !== undefined) {
+        fail('A handler cannot be both debounced and throttled');
+    }
+    if (options.passive && options.prevent) {
+        fail('preventDefault() has no effect in a passive listener');
+    }
+    if (options.signal !== undefined && !(options.signal instanceof AbortSignal)) {
+        fail('"signal" must be an AbortSignal');
+    }
+    if (options.group !== undefined && !(typeof options.group === 'string' && NAMESPACE.test(options.group))) {
+        fail('"group" must be a namespace made of letters, digits, "_" and "-"');
+    }
+}
+
+/**
+ * Tells whether an event passes the key and system key filters.
+ * @param {globalThis.Event} e
+ * @param {EventOptions} options
+ * @returns {boolean}
+ */
+function matchesKeys(e, options) {
+    const event = /** @type {KeyboardEvent} */ (e);
+    if (options.modifiers && !options.modifiers.every(name => event[SYSTEM_KEYS[name]])) {
+        return false;
+    }
+    if (options.keys && options.keys.length > 0) {
+        if (typeof event.key !== 'string') return false;
+        const key = event.key.toLowerCase();
+        return options.keys.some(name => (KEY_NAMES[name.toLowerCase()] || name.toLowerCase()) === key);
+    }
+    return true;
+}
 
 export class Event {
-    constructor() {
+    /**
+     * @param {Object} [options={}]
+     * @param {boolean} [options.delegate=false] - Handle DOM events with one listener
+     * per event type on the root instead of one per matching element. Elements
+     * added or removed later need no extra work, so the MutationObserver is not used.
+     * @param {Element|string} [options.root=document] - Scope of the instance, an element
+     * or a selector for one. Selectors only match inside it (the root included), the
+     * MutationObserver only watches it and destroy() leaves other instances untouched,
+     * so several independent widgets can share a page.
+     * @throws {FrameworkError} If the root selector matches no element
+     * @example
+     * const events = new Event({ delegate: true });
+     * events.onEvent('click', '.row .delete', (e, button) => removeRow(button.dataset.id));
+     *
+     * @example
+     * // One instance per embedded widget
+     * const cart = new Event({ root: '#cart-widget' });
+     * cart.onEvent('click', '.remove', (e, button) => removeItem(button.dataset.id));
+     */
+    constructor(options = {}) {
         /**
          * @type {EventHandler[]}
          * @private 
@@ -25,49 +202,51 @@ export class Event {
         this._handlers = [];
 
         /**
-         * Tracks elements that already have event listeners
-         * Uses WeakMap to avoid memory leaks and provide stable references
-         * Format: WeakMap<Element, Set<EventType>>
+         * Next handler or gesture ID, never reused
+         * @type {number}
          * @private
          */
-        this._processedItems = new WeakMap();
+        this._nextId = 0;
 
         /**
-         * Standard DOM events bound to individual elements
+         * Where selectors are matched and listeners added
+         * @type {Element|Document}
          * @private
          */
-        this._domEvents = [
-            'click', 'dblclick', 'input', 'keydown', 'scroll',
-            'mouseover', 'mouseout', 'change', 'submit',
-            'keypress', 'keyup', 'blur', 'focus'
-        ];
+        this._root = this._resolveRoot(options.root);
 
         /**
-         * Global events bound to window/document
+         * Flag to prevent duplicate initialization
          * @private
          */
-        this._winOrDocEvents = [
-            'resize', 'load', 'unload', 'beforeunload',
-            'hashchange', 'popstate', 'DOMContentLoaded'
-        ];
+        this._initialized = false;
 
         /**
-         * Combined list of all supported event types
+         * MutationObserver instance for cleanup
          * @private
          */
-        this._supportedEvents = [...this._domEvents, ...this._winOrDocEvents];
+        this._observer = null;
 
         /**
-         * Flag to prevent duplicate initialization
+         * Whether DOM events are delegated to the root
+         * @type {boolean}
          * @private
          */
-        this._initialized = false;
+        this._delegate = options.delegate === true;
 
         /**
-         * MutationObserver instance for cleanup
+         * Delegating listeners on the root, by listener key
+         * @type {Map<string, RootListener>}
          * @private
          */
-        this._observer = null;
+        this._rootListeners = new Map();
+
+        /**
+         * Gesture handlers, by the ID returned from onGesture()
+         * @type {Map<number, { gesture: string, selector: string, namespaces: string[], recognizer: GestureRecognizer, controller: AbortController }>}
+         * @private
+         */
+        this._gestures = new Map();
 
         /**
          * Initializes the event system:
@@ -81,18 +260,33 @@ export class Event {
 
     /**
      * Registers a new event handler
-     * @param {string} event
+     * Any event type works, including custom ones sent with emit()
+     * Use 'window' or 'document' as selector for global events like resize
+     * The event type may be followed by modifiers, each standing for an option:
+     * `.once`, `.passive`, `.capture`, `.prevent`, `.stop`, `.self`,
+     * `.debounce(ms)`, `.throttle(ms)`, keys such as `.enter`, `.esc`, `.space`,
+     * `.up` or `.k`, and system keys `.ctrl`, `.shift`, `.alt`, `.meta`
+     * Any other word is a namespace, e.g. `click.modal`, to remove handlers with off()
+     * Emits an `event:register` instrumentation event
+     * @param {string} event - Event type, e.g. 'click', 'pointerdown' or 'cart:updated', with modifiers
      * @param {string} selector
      * @param {EventCallback} callback
-     * @returns {number}
+     * @param {EventOptions} [options={}] - Added to, and overriding, the modifiers
+     * @returns {number} Unique ID for removeEvent()
+     * @throws {FrameworkError} If a modifier is unknown or the options conflict
+     * @example
+     * events.onEvent('keydown.enter.prevent', '#search', (e, input) => search(input.value));
+     * events.onEvent('scroll.passive.throttle(100)', 'window', () => updateHeader());
+     * events.onEvent('click', '.menu a', closeMenu, { once: true, signal: controller.signal });
+     * events.onEvent('click.modal', '.modal .close', closeModal);
      */
-    onEvent(event, selector, callback) {
-        if (!this._supportedEvents.includes(event)) {
+    onEvent(event, selector, callback, options = {}) {
+        if (typeof event !== 'string' || !/^[^\s.]+(\.\S+)?$/.test(event)) {
             throw new FrameworkError(
                 'EVENT',
                 'UNSUPPORTED_EVENT',
-                `Event "${event}" is not supported`,
-                { supportedEvents: this._supportedEvents }
+                'Event type must be a non-empty string without spaces',
+                { received: event }
             );
         }
 
@@ -105,49 +299,227 @@ export class Event {
             );
         }
 
-        const id = this._handlers.length;
+        const parsed = parseEventName(event);
+        const handlerOptions = { ...parsed.options, ...options };
+        checkOptions(handlerOptions, event);
+
+        const id = this._nextId++;
+        /** @type {EventHandler} */
         const handler = {
             id,
-            event,
+            event: parsed.type,
             selector,
+            namespaces: handlerOptions.group ? [...parsed.namespaces, handlerOptions.group] : parsed.namespaces,
             callback,
+            options: handlerOptions,
+            invoke: callback,
+            cancel: null,
             domListeners: new Map(), // Must be Map, not WeakMap
             windowListener: null, // Must match the type (null is now allowed)
         };
+        handler.invoke = this._createInvoker(handler);
+
+        const { signal } = handlerOptions;
+        if (signal) {
+            if (signal.aborted) return id;
+            signal.addEventListener('abort', () => this._removeHandler(handler), { once: true });
+        }
 
         this._handlers.push(handler);
         this._applyEventHandler(handler);
+        Instrumentation.emit('event:register', { id, event: handler.event, selector });
 
         return id;
     }
 
+    /**
+     * Registers a gesture handler, recognized from Pointer Events, so mouse,
+     * pen and touch behave the same. Gestures:
+     * `swipe`, `swipeleft`, `swiperight`, `swipeup`, `swipedown`, `longpress`,
+     * `dragstart`, `drag`, `dragend`, `pinchstart`, `pinch`, `pinchend`,
+     * optionally followed by namespaces as in onEvent(), e.g. `swipeleft.cards`
+     * Touch screens scroll and zoom instead unless the elements have a CSS
+     * `touch-action` that leaves the gesture to the page, e.g. `none` or `pan-y`
+     * @param {string} gesture
+     * @param {string} selector
+     * @param {import('./gestures.js').GestureCallback} callback
+     * @param {import('./gestures.js').GestureOptions} [options={}] - Thresholds, pointer capture and signal
+     * @returns {number} Unique ID for removeGesture()
+     * @throws {FrameworkError} If the gesture is unknown
+     * @example
+     * events.onGesture('swipeleft', '.card', (gesture, card) => dismiss(card));
+     * events.onGesture('drag', '.slider', ({ movementX }, slider) => moveBy(slider, movementX));
+     * events.onGesture('longpress', '.item', openMenu, { longPressDelay: 800 });
+     */
+    onGesture(gesture, selector, callback, options = {}) {
+        if (typeof callback !== 'function') {
+            throw new FrameworkError(
+                'EVENT',
+                'INVALID_CALLBACK',
+                'Callback must be a function',
+                { received: typeof callback }
+            );
+        }
+
+        const [name, ...namespaces] = String(gesture).split('.');
+        if (options.group !== undefined) namespaces.push(options.group);
+        const invalid = namespaces.find(namespace => !NAMESPACE.test(namespace));
+        if (invalid !== undefined) {
+            throw new FrameworkError(
+                'EVENT',
+                'INVALID_MODIFIER',
+                `"${invalid}" is not a namespace`,
+                { gesture, namespace: invalid }
+            );
+        }
+
+        const recognizer = new GestureRecognizer(name, callback, options);
+        const controller = new AbortController();
+        const id = this._nextId++;
+
+        const { signal } = options;
+        if (signal) {
+            if (signal.aborted) return id;
+            signal.addEventListener('abort', () => this.removeGesture(id), { once: true });
+        }
+
+        /**
+         * @param {'down'|'move'|'up'|'cancel'} phase
+         * @returns {EventCallback}
+         */
+        const forward = (phase) => (e, el) => {
+            recognizer[phase](/** @type {PointerEvent} */ (e), /** @type {Element} */ (el));
+        };
+        const listen = { signal: controller.signal };
+        this.onEvent('pointerdown', selector, forward('down'), listen);
+        this.onEvent('pointermove', selector, forward('move'), listen);
+        this.onEvent('pointerup', selector, forward('up'), listen);
+        this.onEvent('pointercancel', selector, forward('cancel'), listen);
+
+        this._gestures.set(id, { gesture: name, selector, namespaces, recognizer, controller });
+        return id;
+    }
+
+    /**
+     * Removes a gesture handler and its pointer listeners
+     * @param {number} gestureId - The ID returned by onGesture()
+     * @returns {boolean} True if the gesture was found and removed
+     */
+    removeGesture(gestureId) {
+        const gesture = this._gestures.get(gestureId);
+        if (!gesture) return false;
+
+        this._gestures.delete(gestureId);
+        gesture.controller.abort();
+        gesture.recognizer.destroy();
+        return true;
+    }
+
+    /**
+     * Removes every handler and gesture matching an event type, namespaces or both:
+     * `'.modal'` those of the modal namespace or group, `'click.modal'` only their
+     * click handlers, `'.modal.form'` those in both namespaces and `'click'` every
+     * click handler. Their listeners are removed from the elements, other handlers
+     * of the same elements are not affected
+     * @param {string} spec - Event type and/or namespaces
+     * @param {string} [selector] - Only the handlers registered with this selector
+     * @returns {number} Number of handlers and gestures removed
+     * @throws {FrameworkError} If the spec has neither a type nor a namespace
+     * @example
+     * events.onEvent('click.modal', '.modal .close', closeModal);
+     * events.onEvent('keydown.esc', 'document', closeModal, { group: 'modal' });
+     * events.onGesture('swipedown.modal', '.modal', closeModal);
+     *
+     * // Tearing the modal down
+     * events.off('.modal');
+     */
+    off(spec, selector) {
+        const [type, ...namespaces] = typeof spec === 'string' ? spec.split('.') : [''];
+        if ((!type && namespaces.length === 0) || namespaces.some(namespace => !NAMESPACE.test(namespace))) {
+            throw new FrameworkError(
+                'EVENT',
+                'INVALID_NAMESPACE',
+                'Expected an event type, namespaces or both, e.g. "click.modal" or ".modal"',
+                { received: spec }
+            );
+        }
+
+        /**
+         * @param {{ selector: string, namespaces: string[] }} entry
+         * @param {string} entryType
+         */
+        const matches = (entry, entryType) =>
+            (!type || entryType === type)
+            && namespaces.every(namespace => entry.namespaces.includes(namespace))
+            && (selector === undefined || entry.selector === selector);
+
+        // Pointer handlers of gestures go with their gesture only
+        const internal = new Set(Array.from(this._gestures.values()).map(g => g.controller.signal));
+
+        const gestures = Array.from(this._gestures.entries()).filter(([, g]) => matches(g, g.gesture));
+        const handlers = this._handlers.filter(h =>
+            !(h.options.signal && internal.has(h.options.signal)) && matches(h, h.event)
+        );
+
+        gestures.forEach(([id]) => this.removeGesture(id));
+        handlers.forEach(handler => this._removeHandler(handler));
+        return gestures.length + handlers.length;
+    }
+
     /**
      * Removes an event handler by ID with proper DOM cleanup
+     * Emits an `event:remove` instrumentation event
      * @param {number} handlerId - The ID returned by onEvent()
      * @returns {boolean} True if handler was found and removed
      */
     removeEvent(handlerId) {
-        const index = this._handlers.findIndex(h => h.id === handlerId);
-        if (index === -1) return false;
-
-        const handler = this._handlers[index];
+        const handler = this._handlers.find(h => h.id === handlerId);
+        return handler ? this._removeHandler(handler) : false;
+    }
 
-        // Proper cleanup of DOM listeners
-        this._cleanupHandler(handler);
+    /**
+     * Dispatches a CustomEvent that bubbles, so onEvent() handlers for its type
+     * on the target or its ancestors receive it, `detail` included
+     * @param {string} name - Event type
+     * @param {any} [detail=null] - Data available as `e.detail`
+     * @param {EventTarget|string} [target] - Target, or a selector for the first matching
+     * element inside the root. Defaults to the root
+     * @returns {boolean} False if a handler called preventDefault()
+     * @throws {FrameworkError} If the selector matches no element
+     * @example
+     * events.onEvent('cart:updated', '#cart', (e) => renderCart(e.detail.items));
+     * events.emit('cart:updated', { items }, '#cart');
+     */
+    emit(name, detail = null, target = this._root) {
+        const element = typeof target === 'string' ? this._root.querySelector(target) : target;
+        if (!element) {
+            throw new FrameworkError(
+                'EVENT',
+                'INVALID_TARGET',
+                `No element matches "${target}"`,
+                { selector: target }
+            );
+        }
 
-        this._handlers.splice(index, 1);
-        return true;
+        return element.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, cancelable: true }));
     }
 
     /**
      * Clean up all event handlers and observers
      * Call this when destroying an event system instance
+     * Only the listeners of this instance are removed, other instances keep working
      * Mainly for complex apps that dynamically create/remove event systems
      */
     destroy() {
+        Array.from(this._gestures.keys()).forEach(id => this.removeGesture(id));
+
         // Remove all handlers
         this._handlers.forEach(handler => this._cleanupHandler(handler));
         this._handlers = [];
+        this._rootListeners.forEach(({ event, capture, listener }) => {
+            this._root.removeEventListener(event, listener, capture);
+        });
+        this._rootListeners.clear();
 
         // Disconnect mutation observer
         if (this._observer) {
@@ -155,10 +527,29 @@ export class Event {
             this._observer = null;
         }
 
-        this._processedItems = new WeakMap();
         this._initialized = false;
 
-        console.log('Event system destroyed');
+        Logger.info('EVENT', 'Event system destroyed');
+    }
+
+    /**
+     * Removes a handler with proper DOM cleanup, used by removeEvent(),
+     * `once` handlers and aborted signals
+     * @private
+     * @param {EventHandler} handler
+     * @returns {boolean} False if the handler was already removed
+     */
+    _removeHandler(handler) {
+        const index = this._handlers.indexOf(handler);
+        if (index === -1) return false;
+
+        // Proper cleanup of DOM listeners
+        this._cleanupHandler(handler);
+
+        this._handlers.splice(index, 1);
+        this._releaseDelegation(handler);
+        Instrumentation.emit('event:remove', { id: handler.id, event: handler.event, selector: handler.selector });
+        return true;
     }
 
     /**
@@ -167,15 +558,19 @@ export class Event {
      * @param {EventHandler} handler
      */
     _cleanupHandler(handler) {
+        const capture = handler.options.capture === true;
+        if (handler.cancel) handler.cancel();
+
         // Window listener cleanup
         if (handler.windowListener && typeof handler.windowListener === 'function') {
             try {
                 window.removeEventListener(
                     handler.event,
-                    handler.windowListener
+                    handler.windowListener,
+                    capture
                 );
             } catch (e) {
-                console.warn(`Failed to remove window listener for ${handler.event}`, e);
+                Logger.warn('EVENT', `Failed to remove window listener for ${handler.event}`, e);
             }
         }
 
@@ -183,9 +578,9 @@ export class Event {
         handler.domListeners.forEach((listener, element) => {
             if (typeof listener === 'function') {
                 try {
-                    element.removeEventListener(handler.event, listener);
+                    element.removeEventListener(handler.event, listener, capture);
                 } catch (e) {
-                    console.warn(`Failed to remove DOM listener for ${handler.event}`, e);
+                    Logger.warn('EVENT', `Failed to remove DOM listener for ${handler.event}`, e);
                 }
             }
         });
@@ -198,60 +593,231 @@ export class Event {
      * @param {EventHandler} handler
      */
     _applyEventHandler(handler) {
-        const { event, selector, callback } = handler;
+        const { event, selector, options } = handler;
+        const listenerOptions = { capture: options.capture === true, passive: options.passive === true };
 
         // Handle window/document events
-        if (this._winOrDocEvents.includes(event) && (selector === 'window' || selector === 'document')) {
+        if (selector === 'window' || selector === 'document') {
             /** @type {EventListener} */
-            const winListener = (e /** @type {globalThis.Event} */) => callback(e, window);
+            const winListener = (e /** @type {globalThis.Event} */) => handler.invoke(e, window);
             handler.windowListener = winListener;
-            window.addEventListener(event, winListener);
+            window.addEventListener(event, winListener, listenerOptions);
             // window[`on${event}`] = winListener; // Inline assignment
             return;
         }
 
+        if (this._delegate) {
+            this._delegateEvent(handler);
+            return;
+        }
+
         try {
-            const elements = document.querySelectorAll(selector);
+            const elements = Array.from(this._root.querySelectorAll(selector));
+            if (this._root instanceof Element && this._root.matches(selector)) {
+                elements.unshift(this._root);
+            }
 
             elements.forEach(el => {
-                // Use WeakMap for stable element tracking
-                if (!this._processedItems.has(el)) {
-                    this._processedItems.set(el, new Set());
-                }
+                // Every handler has its own listener, so handlers for the same
+                // event on the same element never shadow each other
+                if (handler.domListeners.has(el)) return;
 
-                const elementEvents = this._processedItems.get(el);
+                /** @type {EventListener} */
+                const domListener = (e) => {
+                    // The element may have stopped matching since it was bound
+                    if (el.matches(selector)) handler.invoke(e, el);
+                };
 
-                // Check if this specific handler already has a listener on this element
-                if (handler.domListeners.has(el)) return;
+                // Store the listener for cleanup
+                handler.domListeners.set(el, domListener);
 
-                // Only add if this event type hasn't been processed for this element by ANY handler
-                if (!elementEvents.has(event)) {
-                    elementEvents.add(event);
-
-                    /** @type {EventListener} */
-                    const domListener = (e) => {
-                        // Execute ALL handlers that match this event and element
-                        this._handlers.forEach(h => {
-                            // Only execute if handler still exists and matches
-                            if (h.event === event && el.matches(h.selector)) {
-                                h.callback(e, el);
-                            }
-                        });
-                    };
-
-                    // Store the listener for cleanup
-                    handler.domListeners.set(el, domListener);
-
-                    // Cast to EventListener to avoid overload errors
-                    // el[`on${event}`] = domListener; // Inline assignment
-                    el.addEventListener(event, /** @type {EventListener} */(domListener));
-                }
+                // Cast to EventListener to avoid overload errors
+                // el[`on${event}`] = domListener; // Inline assignment
+                el.addEventListener(event, /** @type {EventListener} */(domListener), listenerOptions);
             });
         } catch (error) {
-            console.error(`Error applying event handler: ${error}`);
+            Logger.error('EVENT', `Error applying event handler: ${error}`);
+        }
+    }
+
+    /**
+     * Wraps a handler's callback with its modifiers, so element, delegated and
+     * window listeners all apply them the same way. Filters come first, then
+     * preventDefault() and stopPropagation(), which cannot wait for a debounce
+     * @private
+     * @param {EventHandler} handler
+     * @returns {EventCallback}
+     */
+    _createInvoker(handler) {
+        const { callback, options } = handler;
+        let call = callback;
+
+        if (options.debounce !== undefined) {
+            const wait = options.debounce;
+            /** @type {ReturnType<typeof setTimeout>|undefined} */
+            let timer;
+            handler.cancel = () => clearTimeout(timer);
+            call = (e, el) => {
+                clearTimeout(timer);
+                timer = setTimeout(() => callback(e, el), wait);
+            };
+        } else if (options.throttle !== undefined) {
+            const wait = options.throttle;
+            let last = -Infinity;
+            call = (e, el) => {
+                const now = Date.now();
+                if (now - last < wait) return;
+                last = now;
+                callback(e, el);
+            };
+        }
+
+        return (e, el) => {
+            if (options.self && e.target !== el) return;
+            if (!matchesKeys(e, options)) return;
+            if (options.prevent) e.preventDefault();
+            if (options.stop) e.stopPropagation();
+            if (options.once) this._removeHandler(handler);
+            call(e, el);
+        };
+    }
+
+    /**
+     * Identifies the delegating listener a handler runs from: its event type
+     * and flags. Events that do not bubble are caught in the capture phase
+     * @private
+     * @param {EventHandler} handler
+     * @returns {string}
+     */
+    _handlerKey(handler) {
+        const capture = handler.options.capture === true || NON_BUBBLING_EVENTS.has(handler.event);
+        return `${handler.event}|${capture}|${handler.options.passive === true}`;
+    }
+
+    /**
+     * Listens on the root, once for all handlers with the same event type and flags
+     * @private
+     * @param {EventHandler} handler
+     */
+    _delegateEvent(handler) {
+        const key = this._handlerKey(handler);
+        if (this._rootListeners.has(key)) return;
+
+        const capture = handler.options.capture === true || NON_BUBBLING_EVENTS.has(handler.event);
+        /** @type {EventListener} */
+        const listener = (e) => this._dispatchDelegated(e, key);
+        this._rootListeners.set(key, { event: handler.event, capture, listener });
+        this._root.addEventListener(handler.event, listener, { capture, passive: handler.options.passive === true });
+    }
+
+    /**
+     * Stops listening on the root once no handler needs a listener
+     * @private
+     * @param {EventHandler} handler - A handler just removed
+     */
+    _releaseDelegation(handler) {
+        const key = this._handlerKey(handler);
+        const root = this._rootListeners.get(key);
+        if (!root || this._handlers.some(h => this._handlerKey(h) === key)) return;
+
+        this._root.removeEventListener(root.event, root.listener, root.capture);
+        this._rootListeners.delete(key);
+    }
+
+    /**
+     * Runs the handlers whose selector matches the event target or one of its
+     * ancestors inside the root, once for each matching element, as if bound to
+     * every one of them. They run in the order the event bubbles through the
+     * matched elements, and in registration order on the same element.
+     * stopPropagation() in a handler skips the handlers of ancestor elements,
+     * stopImmediatePropagation() every handler left.
+     * @private
+     * @param {globalThis.Event} e
+     * @param {string} key - Listener key of the handlers to run
+     */
+    _dispatchDelegated(e, key) {
+        const target = e.target instanceof Element
+            ? e.target
+            : e.target instanceof Node ? e.target.parentElement : null;
+        if (!target) return;
+
+        /** @type {{ handler: EventHandler, el: Element }[]} */
+        const matches = [];
+        this._handlers.forEach(handler => {
+            if (this._handlerKey(handler) !== key) return;
+            try {
+                let el = target.closest(handler.selector);
+                while (el && this._root.contains(el)) {
+                    matches.push({ handler, el });
+                    el = el.parentElement ? el.parentElement.closest(handler.selector) : null;
+                }
+            } catch (error) {
+                Logger.error('EVENT', `Error applying event handler: ${error}`);
+            }
+        });
+
+        // Every match is an ancestor of the target, deepest first (sort is stable)
+        matches.sort((a, b) => a.el === b.el ? 0 : a.el.contains(b.el) ? 1 : -1);
+
+        // The root listener already got the event, so only a flag tells the handlers apart
+        let stopped = false;
+        const stopImmediatePropagation = e.stopImmediatePropagation;
+        e.stopImmediatePropagation = function () {
+            stopped = true;
+            stopImmediatePropagation.call(this);
+        };
+
+        try {
+            matches.some(({ handler, el }, i) => {
+                if (stopped) return true;
+                if (i > 0 && e.cancelBubble && el !== matches[i - 1].el) return true;
+                handler.invoke(e, el);
+                return false;
+            });
+        } finally {
+            // The event may still reach listeners of other roots
+            delete (/** @type {any} */ (e)).stopImmediatePropagation;
         }
     }
 
+    /**
+     * Finds the root element given to the constructor
+     * @private
+     * @param {Element|string|undefined} root
+     * @returns {Element|Document}
+     * @throws {FrameworkError} If the selector matches no element
+     */
+    _resolveRoot(root) {
+        if (root === undefined) return document;
+        if (root instanceof Element) return root;
+
+        const element = typeof root === 'string' ? document.querySelector(root) : null;
+        if (!element) {
+            throw new FrameworkError(
+                'EVENT',
+                'INVALID_ROOT',
+                'Root must be an element or a selector matching one',
+                { received: root }
+            );
+        }
+        return element;
+    }
+
+    /**
+     * Removes the listeners of elements that left the root, so the handlers
+     * do not keep them in memory. Moved elements are still inside and kept
+     * @private
+     */
+    _pruneDetached() {
+        this._handlers.forEach(handler => {
+            handler.domListeners.forEach((listener, el) => {
+                if (this._root.contains(el)) return;
+                el.removeEventListener(handler.event, listener, handler.options.capture === true);
+                handler.domListeners.delete(el);
+            });
+        });
+    }
+
     /**
      * Processes existing elements and sets up an
      * observer for new elements added to the DOM
@@ -259,35 +825,51 @@ export class Event {
      */
     _initEventSystem() {
         if (this._initialized) {
-            console.warn('[Framework] Event system already initialized');
+            Logger.warn('EVENT', 'Event system already initialized');
             return;
         }
 
         // Apply existing handlers
         this._handlers.forEach(handler => this._applyEventHandler(handler));
 
+        // Delegated events reach new elements by themselves
+        if (this._delegate) {
+            this._initialized = true;
+            Logger.info('EVENT', 'Event system initialized (delegation)');
+            return;
+        }
+
         // Set up mutation observer
         this._observer = new MutationObserver((mutations) => {
             let shouldReapply = false;
+            let shouldPrune = false;
 
             mutations.forEach(mutation => {
                 if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
                     shouldReapply = true;
                 }
+                if (mutation.type === 'childList' && mutation.removedNodes.length > 0) {
+                    shouldPrune = true;
+                }
             });
 
+            if (shouldPrune) this._pruneDetached();
+
             if (shouldReapply) {
                 this._handlers.forEach(handler => {
-                    if (!this._winOrDocEvents.includes(handler.event) &&
-                        handler.selector !== 'window' &&
-                        handler.selector !== 'document') {
+                    if (handler.selector !== 'window' && handler.selector !== 'document') {
                         this._applyEventHandler(handler);
                     }
                 });
             }
         });
 
-        if (document.body) {
+        if (this._root instanceof Element) {
+            this._observer.observe(this._root, {
+                childList: true,
+                subtree: true
+            });
+        } else if (document.body) {
             this._observer.observe(document.body, {
                 childList: true,
                 subtree: true
@@ -305,6 +887,6 @@ export class Event {
         }
 
         this._initialized = true;
-        console.log('Event system initialized');
+        Logger.info('EVENT', 'Event system initialized');
     }
 }
@@ -0,0 +1,382 @@
+import { FrameworkError } from "./errors.js"
+
+/**
+ * @typedef {'swipe'|'swipeleft'|'swiperight'|'swipeup'|'swipedown'|'longpress'
+ *   |'dragstart'|'drag'|'dragend'|'pinchstart'|'pinch'|'pinchend'} GestureType
+ */
+
+/**
+ * @typedef {Object} GestureOptions
+ * @property {number} [swipeDistance=30] - Pixels to travel for a swipe
+ * @property {number} [swipeVelocity=0.3] - Pixels per millisecond at release for a swipe
+ * @property {number} [longPressDelay=500] - Milliseconds to hold for a long press
+ * @property {number} [tolerance=10] - Pixels a long press may move
+ * @property {number} [dragThreshold=5] - Pixels to move before a drag starts
+ * @property {boolean} [capture=true] - Capture the pointer once a drag starts, so
+ * moves and release outside the element are still received
+ * @property {AbortSignal} [signal] - Remove the gesture when the signal aborts
+ * @property {string} [group] - Namespace the gesture belongs to, for Event#off()
+ */
+
+/**
+ * @typedef {Object} GestureDetail
+ * @property {GestureType} type
+ * @property {string} pointerType - 'mouse', 'pen' or 'touch'
+ * @property {number} x - Current position, in client coordinates
+ * @property {number} y
+ * @property {number} startX - Position where the gesture started
+ * @property {number} startY
+ * @property {number} deltaX - Distance from the start, the same for every pointer type
+ * @property {number} deltaY
+ * @property {number} movementX - Distance since the previous event of the gesture
+ * @property {number} movementY
+ * @property {number} distance - Length of the delta
+ * @property {number} velocityX - Pixels per millisecond, recent moves only
+ * @property {number} velocityY
+ * @property {number} velocity
+ * @property {'left'|'right'|'up'|'down'|null} direction - Dominant direction of the delta
+ * @property {number} duration - Milliseconds since the gesture started
+ * @property {number} scale - Distance between two pointers relative to the start of a pinch, 1 otherwise
+ * @property {PointerEvent|null} originalEvent - Null for a long press, which fires on a timer
+ */
+
+/**
+ * @callback GestureCallback
+ * @param {GestureDetail} gesture
+ * @param {Element} el - The element matching the selector
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} PointerTrack
+ * @property {Map<number, { x: number, y: number }>} pointers - Active pointers by ID
+ * @property {number} primary - ID of the pointer the gesture follows
+ * @property {string} pointerType
+ * @property {number} startX
+ * @property {number} startY
+ * @property {number} startTime
+ * @property {number} x
+ * @property {number} y
+ * @property {number} lastX - Position of the previous callback
+ * @property {number} lastY
+ * @property {number} time - Time of the last move
+ * @property {number} velocityX
+ * @property {number} velocityY
+ * @property {boolean} dragging
+ * @property {ReturnType<typeof setTimeout>|undefined} timer - Pending long press
+ * @property {number} pinchDistance - Pointer distance when the pinch started, 0 when not pinching
+ * @property {number} scale
+ */
+
+/**
+ * Supported gesture types.
+ */
+export const GESTURES = new Set([
+    'swipe', 'swipeleft', 'swiperight', 'swipeup', 'swipedown', 'longpress',
+    'dragstart', 'drag', 'dragend', 'pinchstart', 'pinch', 'pinchend'
+]);
+
+/**
+ * A release later than this after the last move has no velocity left.
+ */
+const VELOCITY_WINDOW = 100;
+
+/**
+ * @param {{ x: number, y: number }[]} points - Two points
+ * @returns {number}
+ */
+function spread([a, b]) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Follows the pointers on the elements of one gesture handler and calls back
+ * when its gesture is recognized. Each element is followed independently.
+ */
+export class GestureRecognizer {
+    /**
+     * @param {string} gesture - One of GESTURES
+     * @param {GestureCallback} callback
+     * @param {GestureOptions} [options={}]
+     * @throws {FrameworkError} If the gesture is unknown
+     */
+    constructor(gesture, callback, options = {}) {
+        if (!GESTURES.has(gesture)) {
+            throw new FrameworkError(
+                'EVENT',
+                'UNSUPPORTED_GESTURE',
+                `Unknown gesture "${gesture}"`,
+                { received: gesture, supported: Array.from(GESTURES) }
+            );
+        }
+
+        /**
+         * @type {GestureType}
+         * @private
+         */
+        this._gesture = /** @type {GestureType} */ (gesture);
+
+        /**
+         * @type {GestureCallback}
+         * @private
+         */
+        this._callback = callback;
+
+        /**
+         * @private
+         */
+        this._options = {
+            swipeDistance: options.swipeDistance ?? 30,
+            swipeVelocity: options.swipeVelocity ?? 0.3,
+            longPressDelay: options.longPressDelay ?? 500,
+            tolerance: options.tolerance ?? 10,
+            dragThreshold: options.dragThreshold ?? 5,
+            capture: options.capture !== false,
+        };
+
+        /**
+         * Gestures in progress, by element
+         * @type {Map<Element, PointerTrack>}
+         * @private
+         */
+        this._tracks = new Map();
+    }
+
+    /**
+     * @param {PointerEvent} e
+     * @param {Element} el
+     */
+    down(e, el) {
+        // Only the main button of a mouse starts a gesture
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        const now = performance.now();
+        let track = this._tracks.get(el);
+        if (!track) {
+            track = {
+                pointers: new Map(),
+                primary: e.pointerId,
+                pointerType: e.pointerType,
+                startX: e.clientX,
+                startY: e.clientY,
+                startTime: now,
+                x: e.clientX,
+                y: e.clientY,
+                lastX: e.clientX,
+                lastY: e.clientY,
+                time: now,
+                velocityX: 0,
+                velocityY: 0,
+                dragging: false,
+                timer: undefined,
+                pinchDistance: 0,
+                scale: 1,
+            };
+            this._tracks.set(el, track);
+
+            if (this._gesture === 'longpress') {
+                const pressed = track;
+                track.timer = setTimeout(() => {
+                    pressed.timer = undefined;
+                    this._emit('longpress', pressed, el, null);
+                }, this._options.longPressDelay);
+            }
+        }
+
+        track.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        // A second finger turns the gesture into a pinch
+        if (track.pointers.size === 2) {
+            clearTimeout(track.timer);
+            track.timer = undefined;
+            track.pinchDistance = spread(Array.from(track.pointers.values())) || 1;
+            track.scale = 1;
+            if (this._gesture === 'pinchstart') this._emit('pinchstart', track, el, e);
+        }
+    }
+
+    /**
+     * @param {PointerEvent} e
+     * @param {Element} el
+     */
+    move(e, el) {
+        const track = this._tracks.get(el);
+        if (!track || !track.pointers.has(e.pointerId)) return;
+        track.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (track.pinchDistance > 0) {
+            if (track.pointers.size < 2) return;
+            track.scale = spread(Array.from(track.pointers.values()).slice(0, 2)) / track.pinchDistance;
+            if (this._gesture === 'pinch') this._emit('pinch', track, el, e);
+            return;
+        }
+
+        if (e.pointerId !== track.primary) return;
+
+        const now = performance.now();
+        const elapsed = now - track.time;
+        if (elapsed > 0) {
+            track.velocityX = (e.clientX - track.x) / elapsed;
+            track.velocityY = (e.clientY - track.y) / elapsed;
+        }
+        track.x = e.clientX;
+        track.y = e.clientY;
+        track.time = now;
+
+        const distance = Math.hypot(track.x - track.startX, track.y - track.startY);
+        if (track.timer !== undefined && distance > this._options.tolerance) {
+            clearTimeout(track.timer);
+            track.timer = undefined;
+        }
+
+        if (!track.dragging && distance >= this._options.dragThreshold) {
+            track.dragging = true;
+            if (this._options.capture) this._capture(el, e.pointerId);
+            if (this._gesture === 'dragstart') this._emit('dragstart', track, el, e);
+        }
+        if (track.dragging && this._gesture === 'drag') this._emit('drag', track, el, e);
+    }
+
+    /**
+     * @param {PointerEvent} e
+     * @param {Element} el
+     */
+    up(e, el) {
+        const track = this._tracks.get(el);
+        if (!track || !track.pointers.has(e.pointerId)) return;
+
+        if (e.pointerId === track.primary && track.pinchDistance === 0) {
+            if (performance.now() - track.time > VELOCITY_WINDOW) {
+                track.velocityX = 0;
+                track.velocityY = 0;
+            }
+            track.x = e.clientX;
+            track.y = e.clientY;
+            this._recognizeSwipe(track, el, e);
+        }
+        this._release(e, el, track);
+    }
+
+    /**
+     * The browser took the pointer over, e.g. to scroll: ends the gesture
+     * without recognizing a swipe.
+     * @param {PointerEvent} e
+     * @param {Element} el
+     */
+    cancel(e, el) {
+        const track = this._tracks.get(el);
+        if (track && track.pointers.has(e.pointerId)) this._release(e, el, track);
+    }
+
+    /**
+     * Drops the gestures in progress and their timers.
+     */
+    destroy() {
+        this._tracks.forEach(track => clearTimeout(track.timer));
+        this._tracks.clear();
+    }
+
+    /**
+     * Removes a pointer, ending the pinch or the whole gesture.
+     * @private
+     * @param {PointerEvent} e
+     * @param {Element} el
+     * @param {PointerTrack} track
+     */
+    _release(e, el, track) {
+        track.pointers.delete(e.pointerId);
+
+        if (track.pinchDistance > 0 && track.pointers.size < 2) {
+            if (this._gesture === 'pinchend') this._emit('pinchend', track, el, e);
+            // The remaining finger does not start a swipe or a drag
+            track.pinchDistance = 0;
+            track.primary = NaN;
+        }
+
+        if (track.pointers.size > 0 && e.pointerId !== track.primary) return;
+
+        clearTimeout(track.timer);
+        if (track.dragging && this._gesture === 'dragend') this._emit('dragend', track, el, e);
+        this._tracks.delete(el);
+    }
+
+    /**
+     * @private
+     * @param {PointerTrack} track
+     * @param {Element} el
+     * @param {PointerEvent} e
+     */
+    _recognizeSwipe(track, el, e) {
+        if (!this._gesture.startsWith('swipe')) return;
+
+        const deltaX = track.x - track.startX;
+        const deltaY = track.y - track.startY;
+        const horizontal = Math.abs(deltaX) >= Math.abs(deltaY);
+        const distance = horizontal ? Math.abs(deltaX) : Math.abs(deltaY);
+        const velocity = Math.abs(horizontal ? track.velocityX : track.velocityY);
+        if (distance < this._options.swipeDistance || velocity < this._options.swipeVelocity) return;
+
+        const type = /** @type {GestureType} */ (`swipe${horizontal ? (deltaX < 0 ? 'left' : 'right') : (deltaY < 0 ? 'up' : 'down')}`);
+        if (this._gesture === 'swipe' || this._gesture === type) this._emit(type, track, el, e);
+    }
+
+    /**
+     * @private
+     * @param {Element} el
+     * @param {number} pointerId
+     */
+    _capture(el, pointerId) {
+        try {
+            if (typeof el.setPointerCapture === 'function') el.setPointerCapture(pointerId);
+        } catch (error) {
+            // The pointer is already gone, nothing to capture
+        }
+    }
+
+    /**
+     * @private
+     * @param {GestureType} type
+     * @param {PointerTrack} track
+     * @param {Element} el
+     * @param {PointerEvent|null} e
+     */
+    _emit(type, track, el, e) {
+        const deltaX = track.x - track.startX;
+        const deltaY = track.y - track.startY;
+        const distance = Math.hypot(deltaX, deltaY);
+
+        /** @type {GestureDetail['direction']} */
+        let direction = null;
+        if (distance > 0) {
+            direction = Math.abs(deltaX) >= Math.abs(deltaY)
+                ? (deltaX < 0 ? 'left' : 'right')
+                : (deltaY < 0 ? 'up' : 'down');
+        }
+
+        /** @type {GestureDetail} */
+        const detail = {
+            type,
+            pointerType: track.pointerType,
+            x: track.x,
+            y: track.y,
+            startX: track.startX,
+            startY: track.startY,
+            deltaX,
+            deltaY,
+            movementX: track.x - track.lastX,
+            movementY: track.y - track.lastY,
+            distance,
+            velocityX: track.velocityX,
+            velocityY: track.velocityY,
+            velocity: Math.hypot(track.velocityX, track.velocityY),
+            direction,
+            duration: performance.now() - track.startTime,
+            scale: track.scale,
+            originalEvent: e,
+        };
+        track.lastX = track.x;
+        track.lastY = track.y;
+
+        this._callback(detail, el);
+    }
+}
@@ -0,0 +1,301 @@
+/**
+ * @typedef {string|{ slot: number }} TemplatePart
+ * Literal markup, or the index of an interpolated `${}` value
+ */
+/**
+ * @typedef {Object} TemplateAttr
+ * @property {string} [name] - Attribute name as written
+ * @property {TemplatePart[]|true} [value] - Value parts, true for a bare attribute
+ * @property {number} [spread] - Slot of a `...${props}` spread
+ */
+/**
+ * @typedef {Object} TemplateNode
+ * @property {'text'|'element'} type
+ * @property {TemplatePart[]} [parts] - Text content parts
+ * @property {TemplatePart} [tag] - Tag name, or a slot holding a component
+ * @property {TemplateAttr[]} [attrs]
+ * @property {TemplateNode[]} [children]
+ */
+
+import { Dom } from "./dom.js"
+import { FrameworkError } from "./errors.js"
+
+/** Private-use characters delimiting interpolated values in the joined markup */
+const SLOT_START = '\uE000';
+const SLOT_END = '\uE001';
+const SLOT_PATTERN = /\uE000(\d+)\uE001/g;
+
+/**
+ * Elements that are closed by their opening tag, like in HTML.
+ */
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+/** @type {Object.<string, string>} */
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+
+/**
+ * Parsed templates, keyed by the strings array that is unique to each call site.
+ * @type {WeakMap<TemplateStringsArray, TemplateNode[]>}
+ */
+const templates = new WeakMap();
+
+/**
+ * Tagged template that turns markup into the same VNodes Dom.h() creates,
+ * without a build step. `${}` values can be used as tag names (components),
+ * attribute values, handlers, `...${props}` spreads and children.
+ * Each call site is parsed once and cached.
+ *
+ * @param {TemplateStringsArray} strings - Literal parts of the template
+ * @param {...any} values - Interpolated values
+ * @returns {any} A VNode, a Fragment VNode for several roots, or text
+ *
+ * @example
+ * const view = (state) => html`
+ *   <ul class="todos">
+ *     ${state.todos.map(todo => html`
+ *       <li key=${todo.id} onClick=${() => toggle(todo.id)}>${todo.title}</li>
+ *     `)}
+ *   </ul>
+ * `;
+ *
+ * @example
+ * // Components, spreads and self-closing tags
+ * html`<${Card} title="Profile" ...${props}><img src=${user.avatar} /><//>`;
+ */
+export function html(strings, ...values) {
+    let template = templates.get(strings);
+    if (!template) {
+        template = parseTemplate(strings);
+        templates.set(strings, template);
+    }
+
+    const children = template.flatMap(node => buildNode(node, values));
+    return children.length === 1 ? children[0] : Dom.jsx(Dom.Fragment, null, ...children);
+}
+
+/**
+ * Parses the literal parts of a template into a reusable tree.
+ * @param {TemplateStringsArray} strings
+ * @returns {TemplateNode[]}
+ */
+function parseTemplate(strings) {
+    const markup = strings.reduce(
+        (joined, literal, i) => joined + SLOT_START + (i - 1) + SLOT_END + literal
+    );
+    let pos = 0;
+
+    /** @param {string} text */
+    const fail = (text) => {
+        throw new FrameworkError('DOM', 'INVALID_TEMPLATE', text, { position: pos, markup });
+    };
+
+    const skipWhitespace = () => {
+        while (pos < markup.length && /\s/.test(markup[pos])) pos++;
+    };
+
+    /** @returns {number|null} Slot index at the cursor, consumed */
+    const readSlot = () => {
+        if (markup[pos] !== SLOT_START) return null;
+        const end = markup.indexOf(SLOT_END, pos);
+        const slot = Number(markup.slice(pos + 1, end));
+        pos = end + 1;
+        return slot;
+    };
+
+    /** @param {RegExp} stop - Matches the first character not part of the token */
+    const readUntil = (stop) => {
+        const start = pos;
+        while (pos < markup.length && !stop.test(markup[pos])) pos++;
+        return markup.slice(start, pos);
+    };
+
+    /** @returns {TemplateAttr[]} */
+    const parseAttributes = () => {
+        /** @type {TemplateAttr[]} */
+        const attrs = [];
+        for (;;) {
+            skipWhitespace();
+            if (pos >= markup.length) fail('Unterminated tag');
+            if (markup[pos] === '>' || markup.startsWith('/>', pos)) return attrs;
+
+            if (markup.startsWith('...', pos)) {
+                pos += 3;
+                const slot = readSlot();
+                if (slot === null) fail('Expected ${} after "..."');
+                attrs.push({ spread: /** @type {number} */ (slot) });
+                continue;
+            }
+
+            const name = readUntil(/[\s=>]|\//);
+            if (!name) fail(`Unexpected "${markup[pos]}" in tag`);
+            skipWhitespace();
+
+            if (markup[pos] !== '=') {
+                attrs.push({ name, value: true });
+                continue;
+            }
+            pos++;
+            skipWhitespace();
+
+            const quote = markup[pos];
+            let raw;
+            if (quote === '"' || quote === "'") {
+                pos++;
+                raw = readUntil(new RegExp(quote));
+                pos++;
+            } else {
+                raw = readUntil(/[\s>]/);
+                // `name=value/>` closes the tag rather than ending the value
+                if (raw.endsWith('/') && markup[pos] === '>') {
+                    raw = raw.slice(0, -1);
+                    pos--;
+                }
+            }
+            attrs.push({ name, value: splitParts(raw) });
+        }
+    };
+
+    /**
+     * @param {boolean} nested - Whether a closing tag ends this list
+     * @returns {TemplateNode[]}
+     */
+    const parseChildren = (nested) => {
+        /** @type {TemplateNode[]} */
+        const children = [];
+        while (pos < markup.length) {
+            if (markup.startsWith('<!--', pos)) {
+                const end = markup.indexOf('-->', pos);
+                pos = end === -1 ? markup.length : end + 3;
+                continue;
+            }
+
+            if (markup.startsWith('</', pos)) {
+                if (!nested) fail('Unexpected closing tag');
+                // </div>, </${Component}> and <//> all close the current element
+                pos = markup.indexOf('>', pos) + 1;
+                if (pos === 0) fail('Unterminated closing tag');
+                return children;
+            }
+
+            if (markup[pos] === '<') {
+                children.push(parseElement());
+                continue;
+            }
+
+            const text = trimText(readUntil(/</));
+            if (text) children.push({ type: 'text', parts: splitParts(text) });
+        }
+        if (nested) fail('Missing closing tag');
+        return children;
+    };
+
+    /** @returns {TemplateNode} */
+    const parseElement = () => {
+        pos++;
+        const slot = readSlot();
+        /** @type {TemplatePart} */
+        const tag = slot !== null ? { slot } : readUntil(/[\s/>]/);
+        if (!tag) fail('Missing tag name');
+
+        const attrs = parseAttributes();
+        const selfClosing = markup[pos] === '/';
+        pos += selfClosing ? 2 : 1;
+
+        const isVoid = typeof tag === 'string' && VOID_TAGS.has(tag);
+        const children = selfClosing || isVoid ? [] : parseChildren(true);
+        return { type: 'element', tag, attrs, children };
+    };
+
+    return parseChildren(false);
+}
+
+/**
+ * Drops indentation: whitespace runs that contain a line break are removed
+ * at the start and end of a text, like JSX does.
+ * @param {string} text
+ * @returns {string}
+ */
+function trimText(text) {
+    return text.replace(/^\s*\n\s*|\s*\n\s*$/g, '');
+}
+
+/**
+ * Splits raw text around slot markers, decoding entities in literal parts.
+ * @param {string} raw
+ * @returns {TemplatePart[]}
+ */
+function splitParts(raw) {
+    /** @type {TemplatePart[]} */
+    const parts = [];
+    let last = 0;
+    raw.replace(SLOT_PATTERN, (match, slot, offset) => {
+        if (offset > last) parts.push(decodeEntities(raw.slice(last, offset)));
+        parts.push({ slot: Number(slot) });
+        last = offset + match.length;
+        return match;
+    });
+    if (last < raw.length) parts.push(decodeEntities(raw.slice(last)));
+    return parts;
+}
+
+/**
+ * Decodes the common named and all numeric character references.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const hex = entity[1] === 'x' || entity[1] === 'X';
+            return String.fromCodePoint(parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10));
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Resolves a part against the values of the current call.
+ * @param {TemplatePart} part
+ * @param {any[]} values
+ * @returns {any}
+ */
+function resolvePart(part, values) {
+    return typeof part === 'string' ? part : values[part.slot];
+}
+
+/**
+ * Builds the VNode children a parsed node stands for.
+ * @param {TemplateNode} node
+ * @param {any[]} values
+ * @returns {any[]}
+ */
+function buildNode(node, values) {
+    if (node.type === 'text') {
+        return (node.parts || []).map(part => resolvePart(part, values));
+    }
+
+    /** @type {Record<string, any>} */
+    const attrs = {};
+    (node.attrs || []).forEach(attr => {
+        if (attr.spread !== undefined) {
+            Object.assign(attrs, values[attr.spread]);
+            return;
+        }
+        const name = /** @type {string} */ (attr.name);
+        const value = /** @type {TemplatePart[]|true} */ (attr.value);
+        if (value === true) {
+            attrs[name] = true;
+        } else if (value.length === 1) {
+            // A lone value keeps its type, so handlers, objects and refs pass through
+            attrs[name] = resolvePart(value[0], values);
+        } else {
+            attrs[name] = value.map(part => resolvePart(part, values)).join('');
+        }
+    });
+
+    const children = (node.children || []).flatMap(child => buildNode(child, values));
+    return [Dom.jsx(resolvePart(/** @type {TemplatePart} */ (node.tag), values), attrs, ...children)];
+}
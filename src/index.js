@@ -1,5 +1,13 @@
 export * from './dom';
+export * from './component';
+export * from './html';
 export * from './events';
+export * from './gestures';
+export * from './bus';
+export * from './shortcuts';
 export * from './routes';
 export * from './state';
+export * from './scheduler';
 export * from './errors';
+export * from './logger';
+export * from './instrumentation';
@@ -0,0 +1,89 @@
+import { Logger } from "./logger.js"
+
+/**
+ * @typedef {Object} InstrumentationEvent
+ * @property {string} type - One of the types below
+ * @property {number} time - Milliseconds since page load, from performance.now()
+ * @property {Object.<string, any>} detail - Data for the type:
+ * - `state:change`: `{ previous, state, changes }`
+ * - `route:change`: `{ from, to, found, pattern }`, from is null on the first route
+ *   and pattern, the matching route pattern, null when none matched
+ * - `event:register`: `{ id, event, selector }`
+ * - `event:remove`: `{ id, event, selector }`
+ * - `dom:patch`: `{ duration, created, replaced, removed }`, counted in VNodes,
+ *   for each outermost Dom operation (render, patch, setState re-render, hydrate)
+ */
+
+/**
+ * @callback InstrumentationHook
+ * @param {InstrumentationEvent} event
+ * @returns {void}
+ */
+
+/**
+ * Registered hooks by event type, '*' receives every type.
+ * @type {Map<string, Set<InstrumentationHook>>}
+ */
+const hooks = new Map();
+
+/**
+ * Structured events emitted by the framework for devtools, debug panels and
+ * performance metrics. Emitting is skipped entirely while nobody listens.
+ *
+ * @example
+ * // Collect render timings
+ * const stop = Instrumentation.on('dom:patch', ({ detail }) => {
+ *     metrics.record('patch', detail.duration, { created: detail.created });
+ * });
+ *
+ * @example
+ * // Feed a debug panel with everything
+ * Instrumentation.on('*', (event) => panel.append(event.type, event.detail));
+ */
+export class Instrumentation {
+    /**
+     * Registers a hook for one event type, or '*' for all of them.
+     * @param {string} type - e.g. 'state:change', 'dom:patch' or '*'
+     * @param {InstrumentationHook} hook
+     * @returns {() => void} Unregisters the hook
+     */
+    static on(type, hook) {
+        if (!hooks.has(type)) hooks.set(type, new Set());
+        const set = /** @type {Set<InstrumentationHook>} */ (hooks.get(type));
+        set.add(hook);
+
+        return () => {
+            set.delete(hook);
+            if (set.size === 0 && hooks.get(type) === set) hooks.delete(type);
+        };
+    }
+
+    /**
+     * Tells whether an event type has any hook, so costly details can be skipped.
+     * @param {string} type
+     * @returns {boolean}
+     */
+    static isObserved(type) {
+        return hooks.has(type) || hooks.has('*');
+    }
+
+    /**
+     * Sends an event to the hooks of its type and the '*' hooks.
+     * A throwing hook is logged and does not affect the others.
+     * @param {string} type
+     * @param {Object.<string, any>} detail
+     */
+    static emit(type, detail) {
+        if (!this.isObserved(type)) return;
+
+        /** @type {InstrumentationEvent} */
+        const event = { type, time: performance.now(), detail };
+        [...Array.from(hooks.get(type) || []), ...Array.from(hooks.get('*') || [])].forEach(hook => {
+            try {
+                hook(event);
+            } catch (error) {
+                Logger.error('INSTRUMENTATION', `Hook for "${type}" failed:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,99 @@
+import { FrameworkError } from "./errors.js"
+
+/**
+ * @typedef {'silent'|'error'|'warn'|'info'|'debug'} LogLevel
+ */
+
+/**
+ * Severity of each level, a message is written when its level is at most the current one.
+ * @type {Record<LogLevel, number>}
+ */
+const LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+
+/**
+ * Framework-wide logger. Every module writes its diagnostics through it,
+ * prefixed with the module name. Nothing is written until a level is set.
+ *
+ * @example
+ * // During development
+ * Logger.setLevel('debug');
+ *
+ * // In production, only report real problems
+ * Logger.setLevel('error');
+ */
+export class Logger {
+    /**
+     * @type {LogLevel}
+     * @private
+     */
+    static _level = 'silent';
+
+    /**
+     * Sets the most verbose level that is written.
+     * @param {LogLevel} level - 'silent', 'error', 'warn', 'info' or 'debug'
+     * @throws {FrameworkError} If the level is unknown
+     */
+    static setLevel(level) {
+        if (!(level in LEVELS)) {
+            throw new FrameworkError(
+                'LOGGER',
+                'INVALID_LEVEL',
+                `Unknown log level "${level}"`,
+                { levels: Object.keys(LEVELS) }
+            );
+        }
+        this._level = level;
+    }
+
+    /**
+     * @returns {LogLevel} The current level
+     */
+    static getLevel() {
+        return this._level;
+    }
+
+    /**
+     * Tells whether messages of a level are written, to skip building costly ones.
+     * @param {LogLevel} level
+     * @returns {boolean}
+     */
+    static isEnabled(level) {
+        return level !== 'silent' && LEVELS[level] <= LEVELS[this._level];
+    }
+
+    /**
+     * Something failed and was recovered from, or could not be.
+     * @param {string} module - The module name (e.g., 'DOM', 'EVENT', etc.)
+     * @param {...any} args - Message and values, as for console.error()
+     */
+    static error(module, ...args) {
+        if (this.isEnabled('error')) console.error(`[${module}]`, ...args);
+    }
+
+    /**
+     * Something looks wrong but works, like a hydration mismatch.
+     * @param {string} module
+     * @param {...any} args
+     */
+    static warn(module, ...args) {
+        if (this.isEnabled('warn')) console.warn(`[${module}]`, ...args);
+    }
+
+    /**
+     * Notable steps such as a module starting or shutting down.
+     * @param {string} module
+     * @param {...any} args
+     */
+    static info(module, ...args) {
+        if (this.isEnabled('info')) console.info(`[${module}]`, ...args);
+    }
+
+    /**
+     * Detailed traces, like every state update or diff.
+     * @param {string} module
+     * @param {...any} args
+     */
+    static debug(module, ...args) {
+        if (this.isEnabled('debug')) console.debug(`[${module}]`, ...args);
+    }
+}
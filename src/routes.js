@@ -1,63 +1,995 @@
+import { Dom } from "./dom.js"
+import { FrameworkError } from "./errors.js"
+import { Logger } from "./logger.js"
+import { Instrumentation } from "./instrumentation.js"
+
+/**
+ * @typedef {Object} NavigateOptions
+ * @property {boolean} [replace=false] - Replace the current history entry instead of adding one
+ */
+
+/**
+ * @typedef {Object} RouteContext
+ * @property {string} path - The path navigated to, without query and hash
+ * @property {string|null} pattern - The pattern of the matching route, e.g. '/users/:id',
+ * null when no route matches the path
+ * @property {Object.<string, string>} params - Named parameters, a splat is under its name or '*'
+ * @property {Object.<string, string|string[]>} query - Query parameters, repeated ones as arrays
+ * @property {string} hash - Fragment after the path, without '#'
+ */
+
+/**
+ * @callback RouteHandler
+ * @param {RouteContext} context
+ * @returns {void}
+ */
+
+/**
+ * Decides whether a navigation goes on: `true` or nothing allows it, `false`
+ * cancels it and a path redirects to that path instead. May be async.
+ * @typedef {boolean|string|void} GuardResult
+ */
+
+/**
+ * @callback RouteGuard
+ * @param {RouteContext} to - The route navigated to, its pattern is null when no route matches
+ * @param {RouteContext|null} from - The current route, null on the first navigation
+ * @returns {GuardResult|Promise<GuardResult>}
+ */
+
+/**
+ * @callback AfterHook
+ * @param {RouteContext} to - The route rendered, its pattern is null when no route matched
+ * @param {RouteContext|null} from - The route before, null after the first navigation
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} RouteGuards
+ * @property {RouteGuard} [beforeEnter] - Runs before navigating to the route from another one
+ * @property {RouteGuard} [beforeLeave] - Runs before navigating from the route to another one
+ */
+
+/**
+ * How a navigation changes the URL: 'push' and 'replace' write it once
+ * allowed, 'pop' finds it already changed by the browser.
+ * @typedef {'push'|'replace'|'pop'} NavigationMode
+ */
+
+/**
+ * A route rendered into the router container. A route with children is a
+ * parent: its layout wraps whatever the matching child renders.
+ * @typedef {Object} RouteDefinition
+ * @property {(context: RouteContext) => import('./dom.js').VNode} [view] - Content when this route is the one matched
+ * @property {(outlet: import('./dom.js').VNode|null, context: RouteContext) => import('./dom.js').VNode} [layout] - Shell around
+ * the content of the child routes, which it places where `outlet` goes
+ * @property {(context: RouteContext) => (void|(() => void))} [enter] - Runs when the route
+ * becomes part of the matched chain or its parameters change, may return a cleanup
+ * run when it stops being so
+ * @property {Object.<string, ((context: RouteContext) => import('./dom.js').VNode)|RouteDefinition>} [children] - Child routes by
+ * path relative to this one, '/' being the index. A function child is a view.
+ * @property {RouteGuard} [beforeEnter] - Runs before this level becomes part of the matched chain
+ * @property {RouteGuard} [beforeLeave] - Runs before this level stops being part of it
+ */
+
+/**
+ * One level of a nested route.
+ * @typedef {Object} RouteLink
+ * @property {string} pattern - Full pattern up to this level
+ * @property {string[]} keys - Parameters up to this level
+ * @property {RouteDefinition} definition
+ */
+
+/**
+ * A level of the chain currently rendered.
+ * @typedef {Object} ActiveLink
+ * @property {RouteLink} link
+ * @property {Object.<string, string>} params - Its own parameters when it was entered
+ * @property {(() => void)|null} cleanup - Returned by enter()
+ */
+
+/**
+ * @typedef {Object} RouteRecord
+ * @property {string} pattern
+ * @property {RouteHandler|null} action - Handler of a plain route
+ * @property {RouteLink[]} chain - Levels of the route, from the outermost layout. A plain
+ * route has one level, holding its guards
+ * @property {RegExp} matcher
+ * @property {string[]} keys - Parameter names, in capture group order
+ * @property {number[]} scores - Specificity of each segment
+ */
+
+/**
+ * @typedef {Object} RouteMatch
+ * @property {RouteRecord|null} route - The most specific matching route, null when none matches
+ * @property {RouteContext} context
+ */
+
+/**
+ * Specificity of a pattern segment, compared segment by segment to rank routes.
+ * A pattern that ends is more specific than one going on with optional parts.
+ */
+const SEGMENT_SCORES = { static: 5, param: 4, end: 3, optional: 2, splat: 1 };
+
+/**
+ * Compiles a route pattern. Segments are static text, `:name` parameters,
+ * `:name?` optional parameters, or a final `*` / `*name` splat matching the rest
+ * of the path. The pattern '*' alone matches every path.
+ * @param {string} pattern
+ * @returns {{ matcher: RegExp, keys: string[], scores: number[] }}
+ * @throws {FrameworkError} If a parameter has no name or a splat is not last
+ */
+function compilePattern(pattern) {
+    const segments = pattern.split('/').filter(Boolean);
+    /** @type {string[]} */
+    const keys = [];
+    /** @type {number[]} */
+    const scores = [];
+    /** @param {string} message */
+    const fail = (message) => {
+        throw new FrameworkError('ROUTE', 'INVALID_PATTERN', message, { pattern });
+    };
+
+    const source = segments.map((segment, i) => {
+        if (segment.startsWith('*')) {
+            if (i !== segments.length - 1) fail('A splat must be the last segment');
+            keys.push(segment.slice(1) || '*');
+            scores.push(SEGMENT_SCORES.splat);
+            return '(?:/(.*))?';
+        }
+        if (segment.startsWith(':')) {
+            const optional = segment.endsWith('?');
+            const name = segment.slice(1, optional ? -1 : undefined);
+            if (!name) fail('A parameter needs a name');
+            keys.push(name);
+            scores.push(optional ? SEGMENT_SCORES.optional : SEGMENT_SCORES.param);
+            return optional ? '(?:/([^/]+))?' : '/([^/]+)';
+        }
+        scores.push(SEGMENT_SCORES.static);
+        return `/${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+    }).join('');
+
+    // A trailing slash is accepted
+    return { matcher: new RegExp(`^${source}/?$`), keys, scores };
+}
+
+/**
+ * Orders routes from the most to the least specific.
+ * @param {RouteRecord} a
+ * @param {RouteRecord} b
+ * @returns {number}
+ */
+function compareRoutes(a, b) {
+    const length = Math.max(a.scores.length, b.scores.length);
+    for (let i = 0; i < length; i++) {
+        const difference = (b.scores[i] ?? SEGMENT_SCORES.end) - (a.scores[i] ?? SEGMENT_SCORES.end);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Redirects allowed in a row before a navigation is considered a loop.
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * Key of the history state holding the position of an entry, which tells
+ * how far back or forward the browser went.
+ */
+const POSITION_KEY = 'routerPosition';
+
+/**
+ * @param {any} state - A history state
+ * @returns {number|null} The position recorded in the state, null when there is none
+ */
+function positionOf(state) {
+    return state !== null && typeof state === 'object' && typeof state[POSITION_KEY] === 'number'
+        ? state[POSITION_KEY]
+        : null;
+}
+
+/**
+ * @param {any} state - A history state, kept when it is an object
+ * @param {number} position
+ * @returns {Object} The state with the position recorded
+ */
+function withPosition(state, position) {
+    return { ...(state !== null && typeof state === 'object' ? state : {}), [POSITION_KEY]: position };
+}
+
+/**
+ * @param {any} value
+ * @returns {value is Promise<any>} Whether the value is a promise or another thenable
+ */
+function isThenable(value) {
+    return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+/**
+ * @param {string} parent - Pattern of the parent route
+ * @param {string} child - Pattern relative to the parent, '/' or '' for its index
+ * @returns {string}
+ */
+function joinPatterns(parent, child) {
+    const joined = `${parent.replace(/\/+$/, '')}/${child.replace(/^\/+/, '')}`;
+    return joined.length > 1 ? joined.replace(/\/+$/, '') : '/';
+}
+
+/**
+ * @param {string} value
+ * @returns {string} The value decoded, or as is when malformed
+ */
+function decode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Parses a query string, a parameter given several times becomes an array.
+ * @param {string} search - With or without the leading '?'
+ * @returns {Object.<string, string|string[]>}
+ */
+function parseQuery(search) {
+    /** @type {Object.<string, string|string[]>} */
+    const query = {};
+    new URLSearchParams(search).forEach((value, key) => {
+        const previous = query[key];
+        if (previous === undefined) query[key] = value;
+        else query[key] = Array.isArray(previous) ? [...previous, value] : [previous, value];
+    });
+    return query;
+}
+
 export class Route {
-    constructor() {
+    /**
+     * @param {Object} [options={}]
+     * @param {'hash'|'history'} [options.mode='hash'] - 'hash' keeps the path in the URL
+     * fragment (`/#/about`). 'history' uses real paths (`/about`) through the History API,
+     * which needs the server to answer every route path with the app.
+     * @param {string} [options.base=''] - History mode only, path the app is served
+     * under, e.g. '/app' for `/app/about`
+     * @param {HTMLElement} [options.container] - Where routes given as a RouteDefinition
+     * render, patched with Dom.renderWithDiff() on each navigation
+     * @throws {FrameworkError} If the mode is unknown
+     * @example
+     * const router = new Route({ mode: 'history', base: '/app' });
+     * router.addRoute('/', showHome);
+     * router.addRoute('/users/:id', ({ params, query }) => showUser(params.id, query.tab));
+     * router.addRoute('*', showNotFound);
+     * router.init();
+     */
+    constructor(options = {}) {
+        const { mode = 'hash', base = '', container = null } = options;
+        if (mode !== 'hash' && mode !== 'history') {
+            throw new FrameworkError(
+                'ROUTE',
+                'INVALID_MODE',
+                `Unknown router mode "${mode}"`,
+                { received: mode, modes: ['hash', 'history'] }
+            );
+        }
+
+        /**
+         * Registered routes, the most specific first.
+         * @type {RouteRecord[]}
+         * @private
+         */
+        this._routes = [];
+
+        /**
+         * Path of the route rendered last, null before the first one.
+         * @type {string|null}
+         * @private
+         */
+        this._currentPath = null;
+
+        /**
+         * Route for a URL without a path, set by init()
+         * @type {string}
+         * @private
+         */
+        this._defaultPath = '/';
+
         /**
-         * Registry of route paths and their associated action handlers.
-         * @type {Object.<string, Function>}
-         * @example { '/about': showAboutPage }
+         * @type {'hash'|'history'}
          * @private
          */
-        this._routes = {};
+        this._mode = mode;
+
+        /**
+         * Base path without trailing slash, '' for the site root
+         * @type {string}
+         * @private
+         */
+        this._base = mode === 'history' ? base.replace(/\/+$/, '').replace(/^(?!\/|$)/, '/') : '';
+
+        /**
+         * @type {HTMLElement|null}
+         * @private
+         */
+        this._container = container;
+
+        /**
+         * Levels of the rendered route, from the outermost layout
+         * @type {ActiveLink[]}
+         * @private
+         */
+        this._chain = [];
+
+        /**
+         * VNode tree in the container, null when something else rendered last
+         * @type {import('./dom.js').VNode|null}
+         * @private
+         */
+        this._tree = null;
+
+        /**
+         * Context of the rendered route, null before the first one
+         * @type {RouteContext|null}
+         * @private
+         */
+        this._context = null;
+
+        /**
+         * @type {RouteGuard[]}
+         * @private
+         */
+        this._beforeEach = [];
+
+        /**
+         * @type {AfterHook[]}
+         * @private
+         */
+        this._afterEach = [];
+
+        /**
+         * Incremented by every navigation, a pending one with an older ID is superseded
+         * @type {number}
+         * @private
+         */
+        this._navigationId = 0;
+
+        /**
+         * Position of the rendered route in the history, see POSITION_KEY
+         * @type {number}
+         * @private
+         */
+        this._position = 0;
+
+        /**
+         * Set while going back to the rendered route after a cancelled back/forward
+         * @type {boolean}
+         * @private
+         */
+        this._restoring = false;
+
+        /**
+         * Listeners added by init(), removed by destroy()
+         * @type {{ target: EventTarget, type: string, listener: EventListener }[]}
+         * @private
+         */
+        this._listeners = [];
     }
 
     /**
     * Registers a route path with its corresponding action handler.
-    * @param {string} path - Route path (should start with '/')
-    * @param {Function} action - Callback to execute when route is activated
+    * The path may be a pattern: `/users/:id`, `/posts/:slug?`, `/files/*` or `*` for
+    * any path. When several match, the most specific wins: static segments before
+    * parameters, parameters before optional ones and splats, then registration order.
+    * Registering a pattern again replaces its handler.
+    *
+    * A RouteDefinition instead of a callback renders into the container. Its
+    * children are routes nested in it, rendered inside its layout. On navigation,
+    * the levels shared with the previous route that kept their parameters stay
+    * entered, and the layouts they render are patched rather than rebuilt.
+    * @param {string} path - Route path or pattern (should start with '/')
+    * @param {RouteHandler|RouteDefinition} action - Callback to execute when route is activated
+    * @param {RouteGuards} [guards={}] - Guards of a route given as a callback, a
+    * RouteDefinition has them as properties
+    * @throws {FrameworkError} If the pattern is invalid
+    * @example
+    * router.addRoute('/users/:id', ({ params }) => showUser(params.id));
+    * router.addRoute('/files/*path', ({ params }) => openFile(params.path));
+    *
+    * @example
+    * const router = new Route({ container: document.getElementById('app') });
+    * router.addRoute('/settings', {
+    *     layout: (outlet) => html`<div class="settings">${Sidebar()}<main>${outlet}</main></div>`,
+    *     enter: () => loadSettings(),
+    *     children: {
+    *         '/': () => html`<p>Pick a section</p>`,
+    *         '/profile': () => ProfileForm(),
+    *         '/users/:id': { view: ({ params }) => UserDetails(params.id), enter: ({ params }) => loadUser(params.id) },
+    *     },
+    * });
     */
-    addRoute(path, action) {
-        this._routes[path] = action; // Register the route and its handler
+    addRoute(path, action, guards = {}) {
+        if (typeof action === 'function') {
+            const compiled = compilePattern(path);
+            const definition = { beforeEnter: guards.beforeEnter, beforeLeave: guards.beforeLeave };
+            this._register({ pattern: path, action, chain: [{ pattern: path, keys: compiled.keys, definition }], ...compiled });
+        } else {
+            this._addNested(path, action, []);
+        }
+    }
+
+    /**
+     * Registers a RouteDefinition and its children, each with the chain of
+     * levels leading to it.
+     * @private
+     * @param {string} pattern - Full pattern
+     * @param {RouteDefinition} definition
+     * @param {RouteLink[]} parents - Levels above it
+     */
+    _addNested(pattern, definition, parents) {
+        const compiled = compilePattern(pattern);
+        const chain = [...parents, { pattern, keys: compiled.keys, definition }];
+        const children = definition.children || {};
+
+        if (definition.view || Object.keys(children).length === 0) {
+            this._register({ pattern, action: null, chain, ...compiled });
+        }
+        Object.keys(children).forEach(childPath => {
+            const child = children[childPath];
+            this._addNested(
+                joinPatterns(pattern, childPath),
+                typeof child === 'function' ? { view: child } : child,
+                chain
+            );
+        });
+    }
+
+    /**
+     * @private
+     * @param {RouteRecord} record
+     */
+    _register(record) {
+        const path = record.pattern;
+        const index = this._routes.findIndex(route => route.pattern === path);
+        if (index !== -1) {
+            this._routes[index] = record;
+            return;
+        }
+
+        // Stable insertion after the routes at least as specific
+        const position = this._routes.findIndex(route => compareRoutes(record, route) < 0);
+        if (position === -1) this._routes.push(record);
+        else this._routes.splice(position, 0, record);
     }
 
     /**
      * Programmatically navigates to a specified route.
-     * Updates URL hash and triggers route rendering.
-     * @param {string} path - Target route path
+     * Runs the guards, then updates the URL and triggers route rendering.
+     * Without async guards, the route is rendered before navigate() returns.
+     * @param {string} path - Target route path, may have a query and a hash
+     * @param {NavigateOptions} [options={}]
+     * @returns {Promise<boolean>} True once the route (or the one redirected to) is
+     * rendered, false if a guard cancelled or a newer navigation superseded it.
+     * Rejects with the error of a route handler, view or enter hook that throws
+     * @example
+     * router.navigate('/login', { replace: true }); // Back skips the current page
+     */
+    navigate(path, options = {}) {
+        return this._transition(path, options.replace ? 'replace' : 'push', 0);
+    }
+
+    /**
+     * Registers a guard for every navigation, also to a path no route
+     * matches. Guards run in this order: beforeLeave of the levels being
+     * left, deepest first, beforeEach in registration order, beforeEnter of
+     * the levels entered. The first to cancel or redirect stops the others.
+     * @param {RouteGuard} guard
+     * @returns {() => void} Unregisters the guard
+     * @example
+     * router.beforeEach((to) => to.path.startsWith('/admin') && !session.user ? '/login' : true);
+     *
+     * @example
+     * router.addRoute('/editor', showEditor, {
+     *     beforeLeave: () => !form.dirty || confirm('Discard your changes?'),
+     * });
      */
-    navigate(path) {
-        window.location.hash = path; // Change the URL hash
-        this._renderRoute(path); // Load the corresponding route
+    beforeEach(guard) {
+        this._beforeEach.push(guard);
+        return () => {
+            this._beforeEach = this._beforeEach.filter(g => g !== guard);
+        };
     }
 
     /**
-     * Initializes the router and sets up hash change listeners.
-     * - Renders current route on startup (defaults to '/' if no hash is present)
-     * - Listens for back/forward navigation via hash changes
+     * Registers a hook called after every navigation done, e.g. for analytics
+     * or to move the focus.
+     * @param {AfterHook} hook
+     * @returns {() => void} Unregisters the hook
+     */
+    afterEach(hook) {
+        this._afterEach.push(hook);
+        return () => {
+            this._afterEach = this._afterEach.filter(h => h !== hook);
+        };
+    }
+
+    /**
+     * Builds the URL of a route path for the current mode, for links.
+     * @param {string} path - Route path
+     * @returns {string} e.g. '#/about' in hash mode, '/app/about' in history mode
+     * @example
+     * html`<a href=${router.href('/about')}>About</a>`
+     */
+    href(path) {
+        if (this._mode === 'hash') return `#${path}`;
+        return this._base + (path.startsWith('/') ? path : `/${path}`);
+    }
+
+    /**
+     * Initializes the router and sets up navigation listeners.
+     * - Renders current route on startup (defaults to `path` if the URL has none)
+     * - Listens for back/forward navigation, via hash changes or popstate
+     * - In history mode, handles clicks on same-origin links under the base
+     *   path, except modified clicks, `target` other than `_self` and `download` links
+     * @param {string} [path='/'] - Route when the URL has no path
      */
     init(path = '/') {
-        // Use window.location.hash to determine the initial path, default to '/'
-        path = window.location.hash.slice(1) || path;
-        console.log(path);
+        this._defaultPath = path;
+        path = this._readPath() || path;
+        Logger.info('ROUTE', `Initial route: ${path} (${this._mode} mode)`);
+
+        this._follow(path, 'pop');
+
+        if (this._mode === 'hash') {
+            // Listen for changes in the hash (back/forward navigation)
+            // window.onhashchange = () => { // Inline assignment
+            this._listen(window, 'hashchange', () => this._onPop());
+            return;
+        }
+
+        this._listen(window, 'popstate', () => this._onPop());
+        this._listen(document, 'click', (e) => this._interceptLink(/** @type {MouseEvent} */ (e)));
+    }
+
+    /**
+     * Removes the listeners added by init().
+     */
+    destroy() {
+        this._listeners.forEach(({ target, type, listener }) => target.removeEventListener(type, listener));
+        this._listeners = [];
+    }
 
-        this._renderRoute(path);
-        // Listen for changes in the hash (back/forward navigation)
-        // window.onhashchange = () => { // Inline assignment
-        window.addEventListener("hashchange", () => {
-            this._renderRoute(window.location.hash.slice(1));
+    /**
+     * @private
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {EventListener} listener
+     */
+    _listen(target, type, listener) {
+        target.addEventListener(type, listener);
+        this._listeners.push({ target, type, listener });
+    }
+
+    /**
+     * Reads the route path from the URL.
+     * @private
+     * @returns {string} The path, '' when the URL has none or is outside the base
+     */
+    _readPath() {
+        if (this._mode === 'hash') return window.location.hash.slice(1);
+
+        const { pathname, search, hash } = window.location;
+        const path = this._stripBase(pathname);
+        return path === null ? '' : path + search + hash;
+    }
+
+    /**
+     * @private
+     * @param {string} pathname
+     * @returns {string|null} The path under the base, null if outside of it
+     */
+    _stripBase(pathname) {
+        if (!this._base) return pathname;
+        if (pathname === this._base) return '/';
+        return pathname.startsWith(`${this._base}/`) ? pathname.slice(this._base.length) : null;
+    }
+
+    /**
+     * @private
+     * @returns {string} The current URL in the form href() builds
+     */
+    _currentUrl() {
+        const { pathname, search, hash } = window.location;
+        return this._mode === 'hash' ? hash : pathname + search + hash;
+    }
+
+    /**
+     * Navigates instead of loading the page for a plain click on a link to a
+     * route, in history mode.
+     * @private
+     * @param {MouseEvent} e
+     */
+    _interceptLink(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target instanceof Element ? e.target.closest('a[href]') : null;
+        if (!(link instanceof HTMLAnchorElement)) return;
+        if ((link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) return;
+
+        // Anchors within the current page keep their default scrolling
+        if (url.hash && url.pathname === window.location.pathname && url.search === window.location.search) return;
+
+        const path = this._stripBase(url.pathname);
+        if (path === null) return;
+
+        e.preventDefault();
+        this._follow(path + url.search + url.hash, 'push');
+    }
+
+    /**
+     * Runs the guards of a navigation, then writes the URL and renders the
+     * route, or restores the URL when cancelled. Stays synchronous as long as
+     * the guards return plain values.
+     * @private
+     * @param {string} path
+     * @param {NavigationMode} mode
+     * @param {number} redirects - Redirects that led to this navigation
+     * @returns {Promise<boolean>}
+     */
+    _transition(path, mode, redirects) {
+        const id = ++this._navigationId;
+        const found = this._match(path);
+        const from = this._context;
+        // A path no route matches still leaves the current route
+        const guards = this._guardsFor(found.route ? found.route.chain : [], found.context);
+        const outcome = this._runGuards(guards, found.context, from, id, 0);
+
+        /**
+         * @param {boolean|string|null} result
+         * @returns {boolean|Promise<boolean>}
+         */
+        const finish = (result) => {
+            if (result === null) {
+                Logger.debug('ROUTE', `Navigation to ${path} superseded`);
+                return false;
+            }
+            if (result === false) {
+                Logger.debug('ROUTE', `Navigation to ${path} cancelled`);
+                this._restoreUrl(mode);
+                return false;
+            }
+            if (typeof result === 'string') {
+                if (redirects >= MAX_REDIRECTS) {
+                    Logger.error('ROUTE', `Too many redirects, stopped at ${result}`);
+                    this._restoreUrl(mode);
+                    return false;
+                }
+                // A redirect takes the place of the navigation in the history
+                if (mode === 'pop') this._syncPosition();
+                return this._transition(result, mode === 'push' ? 'push' : 'replace', redirects + 1);
+            }
+
+            if (mode === 'pop') this._syncPosition();
+            else this._writeUrl(path, mode);
+            this._renderRoute(path, found);
+            this._runAfterHooks(found.context, from);
+            return true;
+        };
+
+        if (isThenable(outcome)) return outcome.then(finish);
+        try {
+            return Promise.resolve(finish(outcome));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Runs a navigation started by init(), the browser or a link, which
+     * nobody awaits: its failure is logged rather than left unhandled.
+     * @private
+     * @param {string} path
+     * @param {NavigationMode} mode
+     */
+    _follow(path, mode) {
+        this._transition(path, mode, 0).catch(error => {
+            Logger.error('ROUTE', `Navigation to ${path} failed:`, error);
+        });
+    }
+
+    /**
+     * Lists the guards of a navigation in the order they run.
+     * @private
+     * @param {RouteLink[]} chain - Levels of the route navigated to
+     * @param {RouteContext} context
+     * @returns {RouteGuard[]}
+     */
+    _guardsFor(chain, context) {
+        const kept = this._sharedLevels(chain, context);
+        /** @type {RouteGuard[]} */
+        const guards = [];
+
+        this._chain.slice(kept).reverse().forEach(({ link }) => {
+            if (link.definition.beforeLeave) guards.push(link.definition.beforeLeave);
+        });
+        guards.push(...this._beforeEach);
+        chain.slice(kept).forEach(link => {
+            if (link.definition.beforeEnter) guards.push(link.definition.beforeEnter);
+        });
+        return guards;
+    }
+
+    /**
+     * Calls guards one after the other, waiting for the async ones.
+     * A throwing or rejecting guard cancels the navigation.
+     * @private
+     * @param {RouteGuard[]} guards
+     * @param {RouteContext} to
+     * @param {RouteContext|null} from
+     * @param {number} id - ID of the navigation
+     * @param {number} index - Guard to call
+     * @returns {boolean|string|null|Promise<boolean|string|null>} True to go on, false to
+     * cancel, a path to redirect, null when superseded
+     */
+    _runGuards(guards, to, from, id, index) {
+        if (index === guards.length) return true;
+
+        /**
+         * @param {GuardResult} result
+         * @returns {boolean|string|null|Promise<boolean|string|null>}
+         */
+        const next = (result) => {
+            if (id !== this._navigationId) return null;
+            if (result === false || typeof result === 'string') return result;
+            return this._runGuards(guards, to, from, id, index + 1);
+        };
+        /** @param {unknown} error */
+        const fail = (error) => {
+            Logger.error('ROUTE', `Guard failed, navigation to ${to.path} cancelled:`, error);
+            return id === this._navigationId ? false : null;
+        };
+
+        try {
+            const result = guards[index](to, from);
+            return isThenable(result) ? Promise.resolve(result).then(next, fail) : next(result);
+        } catch (error) {
+            return fail(error);
+        }
+    }
+
+    /**
+     * @private
+     * @param {RouteContext} to
+     * @param {RouteContext|null} from
+     */
+    _runAfterHooks(to, from) {
+        this._afterEach.forEach(hook => {
+            try {
+                hook(to, from);
+            } catch (error) {
+                Logger.error('ROUTE', 'afterEach hook failed:', error);
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {string} path
+     * @param {'push'|'replace'} mode
+     */
+    _writeUrl(path, mode) {
+        const url = this.href(path);
+        // Going to the current URL again adds no history entry
+        const replace = mode === 'replace' || url === this._currentUrl();
+        if (!replace) this._position++;
+        window.history[replace ? 'replaceState' : 'pushState'](withPosition(null, this._position), '', url);
+    }
+
+    /**
+     * Takes the position of the entry the browser moved to, numbering it
+     * when the router did not create it, e.g. a hash edited by hand.
+     * @private
+     */
+    _syncPosition() {
+        const position = positionOf(window.history.state);
+        if (position !== null) {
+            this._position = position;
+            return;
+        }
+        this._position++;
+        window.history.replaceState(withPosition(window.history.state, this._position), '', window.location.href);
+    }
+
+    /**
+     * Follows a back/forward or a hash change, unless it brings back the
+     * rendered route after a cancelled one.
+     * @private
+     */
+    _onPop() {
+        const path = this._readPath() || this._defaultPath;
+        const restoring = this._restoring;
+        this._restoring = false;
+        if (restoring && path === this._currentPath) return;
+        this._follow(path, 'pop');
+    }
+
+    /**
+     * Puts the URL of the rendered route back after a cancelled navigation the
+     * browser had already applied. A back/forward is undone by going as far
+     * the other way, which keeps every entry; a new entry, e.g. a hash edited
+     * by hand, gets the URL back.
+     * @private
+     * @param {NavigationMode} mode
+     */
+    _restoreUrl(mode) {
+        if (mode !== 'pop' || this._currentPath === null) return;
+
+        const position = positionOf(window.history.state);
+        if (position !== null && position !== this._position) {
+            this._restoring = true;
+            window.history.go(this._position - position);
+            return;
+        }
+        if (position === null) this._position++;
+        window.history.replaceState(withPosition(null, this._position), '', this.href(this._currentPath));
+    }
+
+    /**
+     * Counts the leading levels a chain shares with the rendered one, with
+     * the same parameters.
+     * @private
+     * @param {RouteLink[]} chain
+     * @param {RouteContext} context
+     * @returns {number}
+     */
+    _sharedLevels(chain, context) {
+        let kept = 0;
+        while (
+            kept < chain.length && kept < this._chain.length
+            && this._chain[kept].link.definition === chain[kept].definition
+            && this._chain[kept].link.keys.every(key => this._chain[kept].params[key] === context.params[key])
+        ) {
+            kept++;
+        }
+        return kept;
+    }
+
+    /**
+     * Leaves the levels of the rendered chain that the new one does not share
+     * with the same parameters, deepest first, then enters the new levels.
+     * @private
+     * @param {RouteLink[]} chain - Levels of the new route
+     * @param {RouteContext} context
+     */
+    _updateChain(chain, context) {
+        const kept = this._sharedLevels(chain, context);
+
+        this._chain.splice(kept).reverse().forEach(({ cleanup }) => {
+            if (cleanup) cleanup();
+        });
+
+        chain.slice(kept).forEach(link => {
+            /** @type {Object.<string, string>} */
+            const params = {};
+            link.keys.forEach(key => { params[key] = context.params[key]; });
+            const cleanup = link.definition.enter ? link.definition.enter(context) : null;
+            this._chain.push({ link, params, cleanup: typeof cleanup === 'function' ? cleanup : null });
         });
     }
 
+    /**
+     * Renders the chain of a nested route: the view of the deepest level,
+     * wrapped by the layout of every level from the inside out.
+     * @private
+     * @param {RouteLink[]} chain
+     * @param {RouteContext} context
+     * @throws {FrameworkError} If the router has no container
+     */
+    _renderChain(chain, context) {
+        if (!this._container) {
+            throw new FrameworkError(
+                'ROUTE',
+                'NO_CONTAINER',
+                `Route "${context.pattern}" renders views but the router has no container`,
+                { pattern: context.pattern }
+            );
+        }
+
+        const leaf = chain[chain.length - 1].definition;
+        /** @type {import('./dom.js').VNode|null} */
+        let tree = leaf.view ? leaf.view(context) : null;
+        for (let i = chain.length - 1; i >= 0; i--) {
+            const { layout } = chain[i].definition;
+            if (layout) tree = layout(tree, context);
+        }
+
+        if (!tree) {
+            Logger.warn('ROUTE', `Route "${context.pattern}" rendered nothing`);
+            return;
+        }
+        Dom.renderWithDiff(this._container, tree, this._tree);
+        this._tree = tree;
+    }
+
+    /**
+     * Removes what the previous route rendered into the container.
+     * @private
+     */
+    _clear() {
+        if (this._container && this._tree) {
+            Dom.patch(this._container, null, this._tree);
+        } else if (this._container) {
+            this._container.innerHTML = '';
+        }
+        this._tree = null;
+    }
+
+    /**
+     * Finds the most specific route matching a path.
+     * @private
+     * @param {string} path - Route path, may have a query and a hash
+     * @returns {RouteMatch}
+     */
+    _match(path) {
+        const [beforeHash, ...fragment] = path.split('#');
+        const [pathname, search = ''] = beforeHash.split('?');
+
+        for (const route of this._routes) {
+            const match = route.matcher.exec(pathname);
+            if (!match) continue;
+
+            /** @type {Object.<string, string>} */
+            const params = {};
+            route.keys.forEach((key, i) => {
+                if (match[i + 1] !== undefined) params[key] = decode(match[i + 1]);
+            });
+
+            return {
+                route,
+                context: { path: pathname, pattern: route.pattern, params, query: parseQuery(search), hash: fragment.join('#') },
+            };
+        }
+        return {
+            route: null,
+            context: { path: pathname, pattern: null, params: {}, query: parseQuery(search), hash: fragment.join('#') },
+        };
+    }
+
     /**
      * Executes the handler for a given route path.
-     * @param {string} path - Route path to render
-     * @throws {Error} When attempting to render an unregistered route
+     * Emits a `route:change` instrumentation event.
+     * @param {string} path - Route path to render, may have a query and a hash
+     * @param {RouteMatch} [found] - The match, when already known
      * @private
      */
-    _renderRoute(path) {
-        const route = this._routes[path];
-        if (route) {
-            route(); // Execute the associated action for the route
+    _renderRoute(path, found = this._match(path)) {
+        const { route, context } = found;
+        Instrumentation.emit('route:change', {
+            from: this._currentPath,
+            to: path,
+            found: route !== null,
+            pattern: context.pattern,
+        });
+        this._currentPath = path;
+        this._context = context;
+
+        if (!route) {
+            Logger.error('ROUTE', `Route not found: ${path}`);
+            // Nothing stays entered or rendered from the previous route
+            this._updateChain([], context);
+            this._clear();
+            return;
+        }
+
+        this._updateChain(route.chain, context);
+        if (route.action) {
+            // Whatever the handler renders replaces the tree in the container
+            this._tree = null;
+            route.action(context); // Execute the associated action for the route
         } else {
-            console.error(`Route not found: ${path}`);
+            this._renderChain(route.chain, context);
         }
     }
 }
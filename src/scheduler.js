@@ -0,0 +1,164 @@
+import { Dom } from "./dom.js"
+import { FrameworkError } from "./errors.js"
+
+/**
+ * @callback ViewFunction
+ * @param {Object} [state] - Current state, or undefined when no State is attached
+ * @returns {import('./dom.js').VNode}
+ */
+
+/**
+ * Defers a callback to the next animation frame, or to a timer outside browsers.
+ * @param {() => void} callback
+ * @returns {number}
+ */
+const requestFrame = (callback) =>
+    typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame(callback)
+        : /** @type {any} */ (setTimeout(callback, 16));
+
+/**
+ * Cancels a callback scheduled with requestFrame().
+ * @param {number} handle
+ */
+const cancelFrame = (handle) =>
+    typeof cancelAnimationFrame === 'function'
+        ? cancelAnimationFrame(handle)
+        : clearTimeout(handle);
+
+export class Scheduler {
+    /**
+     * Creates a render loop for a view function and a container.
+     * Nothing is rendered until render(), schedule() or mount().
+     * @param {ViewFunction} view - Builds the whole VTree from the state
+     * @param {HTMLElement} container - Element the VTree is rendered into
+     * @param {import('./state.js').State|null} [state=null] - State passed to the view
+     */
+    constructor(view, container, state = null) {
+        if (typeof view !== 'function') {
+            throw new FrameworkError(
+                'DOM',
+                'INVALID_VIEW',
+                'View must be a function returning a VNode',
+                { received: typeof view }
+            );
+        }
+
+        /**
+         * @type {ViewFunction}
+         * @private
+         */
+        this._view = view;
+
+        /**
+         * @type {HTMLElement}
+         * @private
+         */
+        this._container = container;
+
+        /**
+         * @type {import('./state.js').State|null}
+         * @private
+         */
+        this._state = state;
+
+        /**
+         * VTree of the last render, diffed against on the next one
+         * @type {import('./dom.js').VNode|null}
+         * @private
+         */
+        this._vtree = null;
+
+        /**
+         * Handle of the pending animation frame, null when idle
+         * @type {number|null}
+         * @private
+         */
+        this._frame = null;
+
+        /**
+         * Unsubscribes from the State, set by mount()
+         * @type {Function|null}
+         * @private
+         */
+        this._unsubscribe = null;
+    }
+
+    /**
+     * Renders a view into a container and re-renders it, at most once per
+     * animation frame, whenever the State changes.
+     * @param {ViewFunction} view - Builds the whole VTree from the state
+     * @param {HTMLElement} container - Element the VTree is rendered into
+     * @param {import('./state.js').State|null} [state=null] - State to subscribe to
+     * @returns {Scheduler} The running scheduler, call destroy() to stop it
+     * @example
+     * const state = new State({ count: 0 });
+     * const app = Scheduler.mount(
+     *     ({ count }) => Dom.h('p', {}, `Count: ${count}`),
+     *     document.getElementById('app'),
+     *     state
+     * );
+     *
+     * // Three updates, one patch on the next frame
+     * state.setState({ count: 1 });
+     * state.setState({ count: 2 });
+     * state.setState({ count: 3 });
+     */
+    static mount(view, container, state = null) {
+        const scheduler = new Scheduler(view, container, state);
+        scheduler.render();
+        if (state) {
+            scheduler._unsubscribe = state.subscribe(() => scheduler.schedule());
+        }
+        return scheduler;
+    }
+
+    /**
+     * Requests a render on the next animation frame.
+     * Calls made before that frame are coalesced into one patch.
+     */
+    schedule() {
+        if (this._frame !== null) return;
+        this._frame = requestFrame(() => {
+            this._frame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Runs a scheduled render right away instead of waiting for the frame.
+     * Mainly for tests and for code that reads the DOM right after an update.
+     * @returns {boolean} True if a render was pending
+     */
+    flush() {
+        if (this._frame === null) return false;
+        cancelFrame(this._frame);
+        this._frame = null;
+        this.render();
+        return true;
+    }
+
+    /**
+     * Renders the view synchronously, diffing against the previous VTree.
+     */
+    render() {
+        const vtree = this._view(this._state ? this._state.getState() : undefined);
+        Dom.renderWithDiff(this._container, vtree, this._vtree);
+        this._vtree = vtree;
+    }
+
+    /**
+     * Stops the render loop: cancels a pending frame and unsubscribes from the State.
+     * The rendered DOM is left in place.
+     */
+    destroy() {
+        if (this._frame !== null) {
+            cancelFrame(this._frame);
+            this._frame = null;
+        }
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+    }
+}
@@ -0,0 +1,433 @@
+import { FrameworkError } from "./errors.js"
+import { Logger } from "./logger.js"
+import { Event } from "./events.js"
+
+/**
+ * @callback ShortcutCallback
+ * @param {KeyboardEvent} e - The last keydown of the shortcut
+ * @param {ShortcutInfo} shortcut
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} ShortcutOptions
+ * @property {string} [scope='global'] - Only active while the scope is enabled, 'global' always is
+ * @property {string} [description] - Shown by list(), e.g. in a help overlay
+ * @property {boolean} [allowInInputs=false] - Also fire while typing in an input, textarea,
+ * select or editable element
+ * @property {boolean} [preventDefault=true] - Call preventDefault() on the last keydown
+ */
+
+/**
+ * @typedef {Object} ShortcutInfo
+ * @property {number} id
+ * @property {string} keys - As given to bind(), e.g. 'Mod+Shift+K' or 'g i'
+ * @property {string} display - Keys for this platform, e.g. 'Cmd+Shift+K' on Mac
+ * @property {string} scope
+ * @property {string} description
+ * @property {boolean} active - Whether its scope is enabled
+ */
+
+/**
+ * @typedef {Object} Shortcut
+ * @property {number} id
+ * @property {string} keys
+ * @property {string[]} sequence - Normalized chords, e.g. ['ctrl+shift+k']
+ * @property {string} scope
+ * @property {string} description
+ * @property {boolean} allowInInputs
+ * @property {boolean} preventDefault
+ * @property {ShortcutCallback} callback
+ */
+
+/**
+ * Names accepted for keys, by the lowercased `KeyboardEvent.key` they stand for.
+ * @type {Record<string, string>}
+ */
+const KEY_NAMES = {
+    esc: 'escape', space: ' ', spacebar: ' ', plus: '+',
+    up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright',
+    del: 'delete', return: 'enter'
+};
+
+/**
+ * Modifier names, by the one they normalize to. 'mod' depends on the platform.
+ * @type {Record<string, 'ctrl'|'alt'|'shift'|'meta'>}
+ */
+const MODIFIER_NAMES = {
+    ctrl: 'ctrl', control: 'ctrl', alt: 'alt', option: 'alt', opt: 'alt',
+    shift: 'shift', meta: 'meta', cmd: 'meta', command: 'meta', super: 'meta'
+};
+
+/**
+ * Order of the modifiers in a normalized chord.
+ * @type {('ctrl'|'alt'|'shift'|'meta')[]}
+ */
+const MODIFIER_ORDER = ['ctrl', 'alt', 'shift', 'meta'];
+
+/**
+ * Keys that only modify others, their keydown neither fires nor breaks a sequence.
+ */
+const MODIFIER_KEYS = new Set(['Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'OS', 'CapsLock']);
+
+/**
+ * Input types that do not take typed text, shortcuts still work on them.
+ */
+const NON_TEXT_INPUTS = new Set(['button', 'checkbox', 'radio', 'submit', 'reset', 'file', 'image', 'range', 'color']);
+
+/**
+ * @returns {boolean} Whether 'Mod' means Cmd rather than Ctrl
+ */
+function isMac() {
+    if (typeof navigator === 'undefined') return false;
+    const nav = /** @type {any} */ (navigator);
+    const platform = (nav.userAgentData && nav.userAgentData.platform) || nav.platform || '';
+    return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+/**
+ * Normalizes one chord like 'Mod+Shift+K' to 'ctrl+shift+k' (or 'shift+meta+k' on Mac).
+ * @param {string} chord
+ * @param {string} keys - The whole shortcut, for the error
+ * @returns {string}
+ * @throws {FrameworkError} If the chord has no key or an unknown modifier
+ */
+function normalizeChord(chord, keys) {
+    const parts = chord.toLowerCase().split('+');
+    const key = parts.pop();
+    const modifiers = new Set(parts.map(part => {
+        const name = part === 'mod' ? (isMac() ? 'meta' : 'ctrl') : MODIFIER_NAMES[part];
+        if (!name) {
+            throw new FrameworkError(
+                'SHORTCUT',
+                'INVALID_KEYS',
+                `"${part}" is not a modifier in "${keys}"`,
+                { keys }
+            );
+        }
+        return name;
+    }));
+
+    if (!key) {
+        throw new FrameworkError(
+            'SHORTCUT',
+            'INVALID_KEYS',
+            `Chord "${chord}" has no key in "${keys}"`,
+            { keys }
+        );
+    }
+
+    const name = KEY_NAMES[key] || key;
+    if (isShifted(name)) modifiers.delete('shift');
+    return [...MODIFIER_ORDER.filter(modifier => modifiers.has(modifier)), name].join('+');
+}
+
+/**
+ * Tells whether a key is a symbol, whose Shift is part of the character:
+ * '?' is bound as '?' rather than 'Shift+/'.
+ * @param {string} key - Normalized key
+ * @returns {boolean}
+ */
+function isShifted(key) {
+    return key.length === 1 && !/[a-z0-9 ]/.test(key);
+}
+
+/**
+ * Builds the normalized chord of a keydown. Letters and digits come from
+ * `code`, so Option changing the character does not matter. A symbol typed
+ * with Shift, like '!' on the digit row, comes from `key` as it is bound.
+ * @param {KeyboardEvent} e
+ * @returns {string}
+ */
+function chordFromEvent(e) {
+    const typed = e.key.toLowerCase();
+    const code = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(e.code || '');
+    const useCode = code !== null && (/^[a-z0-9]$/.test(typed) || e.altKey);
+    const key = useCode ? (code[1] || code[2]).toLowerCase() : typed;
+    const held = { ctrl: e.ctrlKey, alt: e.altKey, shift: e.shiftKey && !isShifted(key), meta: e.metaKey };
+    return [...MODIFIER_ORDER.filter(name => held[name]), key].join('+');
+}
+
+/**
+ * Tells whether the user is typing text into an element.
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+function isTyping(target) {
+    if (!(target instanceof Element)) return false;
+    if (target instanceof HTMLInputElement) return !NON_TEXT_INPUTS.has(target.type);
+    if (target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement) return true;
+    return target.closest('[contenteditable]:not([contenteditable="false"])') !== null;
+}
+
+/**
+ * @param {string[]} sequence
+ * @param {string[]} prefix
+ * @returns {boolean} Whether the sequence starts with the prefix
+ */
+function startsWith(sequence, prefix) {
+    return prefix.length <= sequence.length && prefix.every((chord, i) => sequence[i] === chord);
+}
+
+/**
+ * Keyboard shortcuts on top of Event: chords such as 'Mod+Shift+K', where Mod
+ * is Cmd on Mac and Ctrl elsewhere, and sequences of chords separated by
+ * spaces such as 'g i'. Shortcuts belong to a scope, the 'global' one being
+ * always active, and are ignored while typing in a form field unless allowed.
+ * A shortcut that repeats or starts another one of the same scope is a conflict.
+ *
+ * @example
+ * const shortcuts = new Shortcuts();
+ * shortcuts.bind('Mod+K', () => openSearch(), { description: 'Search' });
+ * shortcuts.bind('g i', () => router.navigate('/inbox'), { description: 'Go to inbox' });
+ *
+ * // Only while the modal is open, taking precedence over global shortcuts
+ * shortcuts.bind('Escape', () => closeModal(), { scope: 'modal' });
+ * shortcuts.enableScope('modal');
+ *
+ * // Help overlay
+ * shortcuts.list().forEach(({ display, description }) => addRow(display, description));
+ */
+export class Shortcuts {
+    /**
+     * @param {Object} [options={}]
+     * @param {Event} [options.events] - Event instance to listen with, a delegating one is created by default
+     * @param {number} [options.sequenceTimeout=1000] - Milliseconds allowed between the keys of a sequence
+     */
+    constructor(options = {}) {
+        /**
+         * @type {Shortcut[]}
+         * @private
+         */
+        this._shortcuts = [];
+
+        /**
+         * @type {number}
+         * @private
+         */
+        this._nextId = 0;
+
+        /**
+         * Enabled scopes besides 'global', the last enabled takes precedence
+         * @type {string[]}
+         * @private
+         */
+        this._scopes = [];
+
+        /**
+         * Chords typed so far of a sequence in progress
+         * @type {string[]}
+         * @private
+         */
+        this._pending = [];
+
+        /**
+         * @type {ReturnType<typeof setTimeout>|undefined}
+         * @private
+         */
+        this._timer = undefined;
+
+        /**
+         * @type {number}
+         * @private
+         */
+        this._sequenceTimeout = options.sequenceTimeout ?? 1000;
+
+        /**
+         * Whether destroy() also destroys the Event instance
+         * @type {boolean}
+         * @private
+         */
+        this._ownsEvents = !options.events;
+
+        /**
+         * @type {Event}
+         * @private
+         */
+        this._events = options.events || new Event({ delegate: true });
+
+        /**
+         * @type {number}
+         * @private
+         */
+        this._handlerId = this._events.onEvent('keydown', 'document', (e) => {
+            this._handleKey(/** @type {KeyboardEvent} */ (e));
+        });
+    }
+
+    /**
+     * Binds a shortcut.
+     * @param {string} keys - A chord like 'Mod+Shift+K', 'Alt+Up' or '?', or chords
+     * separated by spaces for a sequence like 'g i'
+     * @param {ShortcutCallback} callback
+     * @param {ShortcutOptions} [options={}]
+     * @returns {number} ID for unbind()
+     * @throws {FrameworkError} If the keys are invalid or conflict with a shortcut of the same scope
+     */
+    bind(keys, callback, options = {}) {
+        if (typeof keys !== 'string' || keys.trim() === '') {
+            throw new FrameworkError(
+                'SHORTCUT',
+                'INVALID_KEYS',
+                'Keys must be a non-empty string',
+                { received: keys }
+            );
+        }
+        if (typeof callback !== 'function') {
+            throw new FrameworkError(
+                'SHORTCUT',
+                'INVALID_CALLBACK',
+                'Callback must be a function',
+                { received: typeof callback }
+            );
+        }
+
+        const sequence = keys.trim().split(/\s+/).map(chord => normalizeChord(chord, keys));
+        const scope = options.scope || 'global';
+
+        const conflict = this._shortcuts.find(s =>
+            s.scope === scope && (startsWith(s.sequence, sequence) || startsWith(sequence, s.sequence))
+        );
+        if (conflict) {
+            throw new FrameworkError(
+                'SHORTCUT',
+                'CONFLICT',
+                `"${keys}" conflicts with "${conflict.keys}" in scope "${scope}"`,
+                { keys, scope, existing: conflict.id }
+            );
+        }
+
+        /** @type {Shortcut} */
+        const shortcut = {
+            id: this._nextId++,
+            keys,
+            sequence,
+            scope,
+            description: options.description || '',
+            allowInInputs: options.allowInInputs === true,
+            preventDefault: options.preventDefault !== false,
+            callback,
+        };
+        this._shortcuts.push(shortcut);
+        return shortcut.id;
+    }
+
+    /**
+     * Removes a shortcut.
+     * @param {number} id - The ID returned by bind()
+     * @returns {boolean} True if the shortcut was found and removed
+     */
+    unbind(id) {
+        const index = this._shortcuts.findIndex(s => s.id === id);
+        if (index === -1) return false;
+        this._shortcuts.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Activates the shortcuts of a scope, before those of scopes enabled earlier.
+     * @param {string} scope
+     */
+    enableScope(scope) {
+        this.disableScope(scope);
+        this._scopes.push(scope);
+    }
+
+    /**
+     * Deactivates the shortcuts of a scope.
+     * @param {string} scope
+     */
+    disableScope(scope) {
+        this._scopes = this._scopes.filter(s => s !== scope);
+    }
+
+    /**
+     * @param {string} scope
+     * @returns {boolean} Whether the shortcuts of a scope are active
+     */
+    isScopeActive(scope) {
+        return scope === 'global' || this._scopes.includes(scope);
+    }
+
+    /**
+     * Describes every shortcut, in binding order, for help overlays.
+     * @param {string} [scope] - Only list the shortcuts of this scope
+     * @returns {ShortcutInfo[]}
+     */
+    list(scope) {
+        const mod = isMac() ? 'Cmd' : 'Ctrl';
+        return this._shortcuts
+            .filter(s => scope === undefined || s.scope === scope)
+            .map(s => ({
+                id: s.id,
+                keys: s.keys,
+                display: s.keys.replace(/\bmod\b/gi, mod),
+                scope: s.scope,
+                description: s.description,
+                active: this.isScopeActive(s.scope),
+            }));
+    }
+
+    /**
+     * Removes every shortcut and stops listening.
+     */
+    destroy() {
+        clearTimeout(this._timer);
+        this._shortcuts = [];
+        this._pending = [];
+        if (this._ownsEvents) this._events.destroy();
+        else this._events.removeEvent(this._handlerId);
+    }
+
+    /**
+     * Extends the sequence in progress with a keydown and fires the shortcut it
+     * completes. A key that continues no sequence starts a new one.
+     * @private
+     * @param {KeyboardEvent} e
+     */
+    _handleKey(e) {
+        if (typeof e.key !== 'string' || MODIFIER_KEYS.has(e.key)) return;
+
+        const chord = chordFromEvent(e);
+        const typing = isTyping(e.target);
+        let sequence = [...this._pending, chord];
+        let match = this._match(sequence, typing);
+        if (!match.exact && !match.partial && sequence.length > 1) {
+            sequence = [chord];
+            match = this._match(sequence, typing);
+        }
+
+        clearTimeout(this._timer);
+        this._pending = [];
+
+        if (match.exact) {
+            const shortcut = match.exact;
+            if (shortcut.preventDefault) e.preventDefault();
+            Logger.debug('SHORTCUT', `"${shortcut.keys}" (${shortcut.scope})`);
+            shortcut.callback(e, /** @type {ShortcutInfo} */ (this.list().find(s => s.id === shortcut.id)));
+        } else if (match.partial) {
+            this._pending = sequence;
+            this._timer = setTimeout(() => { this._pending = []; }, this._sequenceTimeout);
+        }
+    }
+
+    /**
+     * Looks for the active shortcut a sequence completes, and whether one
+     * continues it. Scopes enabled last come first, 'global' last.
+     * @private
+     * @param {string[]} sequence
+     * @param {boolean} typing - Whether the keys are typed in a form field
+     * @returns {{ exact: Shortcut|undefined, partial: boolean }}
+     */
+    _match(sequence, typing) {
+        const order = [...this._scopes].reverse().concat('global');
+        const candidates = this._shortcuts
+            .filter(s => order.includes(s.scope) && (!typing || s.allowInInputs))
+            .sort((a, b) => order.indexOf(a.scope) - order.indexOf(b.scope));
+
+        return {
+            exact: candidates.find(s => s.sequence.length === sequence.length && startsWith(s.sequence, sequence)),
+            partial: candidates.some(s => s.sequence.length > sequence.length && startsWith(s.sequence, sequence)),
+        };
+    }
+}
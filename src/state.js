@@ -1,3 +1,6 @@
+import { Logger } from "./logger.js"
+import { Instrumentation } from "./instrumentation.js"
+
 export class State {
   /**
    * Initialize the State with optional initial state.
@@ -25,7 +28,7 @@ export class State {
    * Merges any saved state with initial state.
    */
   _hydrate() {
-    console.log("Hydrating state from localStorage...");
+    Logger.debug('STATE', 'Hydrating state from localStorage...');
 
     const saved = localStorage.getItem('state');
     if (saved) {
@@ -36,14 +39,17 @@ export class State {
 
   /**
    * Updates state and persists changes.
+   * Emits a `state:change` instrumentation event.
    * @param {Object} newState - Partial state update (shallow merge)
    * @example
    * state.setState({ user: { name: 'Alice' } });
    */
   setState(newState) {
     // Shallow merge new state (doesn't handle nested objects)
+    const previous = this._state;
     this._state = { ...this._state, ...newState };
-    console.log("Setting new state:", this._state);
+    Logger.debug('STATE', 'Setting new state:', this._state);
+    Instrumentation.emit('state:change', { previous, state: this._state, changes: newState });
 
     // Persist entire state to localStorage
     localStorage.setItem('state', JSON.stringify(this._state));
@@ -60,7 +66,7 @@ export class State {
    */
   getState() {
     // Return copy to prevent external mutations
-    console.log("Getting current state:", this._state);
+    Logger.debug('STATE', 'Getting current state:', this._state);
     return { ...this._state };
   }
 
@@ -78,7 +84,7 @@ export class State {
    */
   subscribe(listener) {
     this._listeners.add(listener);
-    console.log("Subscribing", this._listeners.size);
+    Logger.debug('STATE', 'Subscribing', this._listeners.size);
 
     // Return cleanup function that removes this listener
     return () => this._listeners.delete(listener);
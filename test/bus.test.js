@@ -0,0 +1,50 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../src/bus.js';
+
+describe('EventBus', () => {
+    it('calls the listeners of matching topics and wildcards in subscription order', () => {
+        const bus = new EventBus();
+        const calls = [];
+        bus.on('cart:added', (item, topic) => calls.push(`exact ${topic} ${item.id}`));
+        bus.on('cart:*', (item, topic) => calls.push(`one ${topic}`));
+        bus.on('cart:**', (item, topic) => calls.push(`any ${topic}`));
+        bus.on('*', (item, topic) => calls.push(`all ${topic}`));
+
+        assert.equal(bus.emit('cart:added', { id: 1 }), 4);
+        assert.equal(bus.emit('cart:item:removed', { id: 2 }), 2);
+        assert.equal(bus.emit('cart'), 2);
+        assert.deepEqual(calls, [
+            'exact cart:added 1', 'one cart:added', 'any cart:added', 'all cart:added',
+            'any cart:item:removed', 'all cart:item:removed',
+            'any cart', 'all cart',
+        ]);
+    });
+
+    it('removes listeners with once(), off() and the returned function', () => {
+        const bus = new EventBus();
+        const calls = [];
+        const listener = () => calls.push('off');
+        bus.once('a', () => calls.push('once'));
+        bus.on('a', listener);
+        const stop = bus.on('a', () => calls.push('stopped'));
+
+        stop();
+        bus.emit('a');
+        assert.equal(bus.off('a', listener), 1);
+        bus.emit('a');
+        assert.deepEqual(calls, ['once', 'off']);
+    });
+
+    it('keeps calling listeners after one throws, and rejects invalid topics', () => {
+        const bus = new EventBus();
+        const calls = [];
+        bus.on('a', () => { throw new Error('listener'); });
+        bus.on('a', () => calls.push('second'));
+        bus.emit('a');
+        assert.deepEqual(calls, ['second']);
+        assert.throws(() => bus.emit(''), { code: 'INVALID_TOPIC' });
+        assert.throws(() => bus.on('a', /** @type {any} */ (null)), { code: 'INVALID_CALLBACK' });
+    });
+});
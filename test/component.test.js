@@ -0,0 +1,75 @@
+import './setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Dom } from '../src/dom.js';
+import { Component } from '../src/component.js';
+
+const h = Dom.h.bind(Dom);
+
+/** @type {HTMLElement} */
+let app;
+
+beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    app = /** @type {HTMLElement} */ (document.getElementById('app'));
+});
+
+describe('Components', () => {
+    it('renders function components with their props and children', () => {
+        /** @param {Record<string, any>} props */
+        const Card = ({ title, children }) => h('section', {}, [h('h2', {}, title), ...children]);
+        Dom.renderWithDiff(app, h(Card, { title: 'Hi' }, [h('p', {}, 'body')]));
+        assert.equal(app.innerHTML, '<section><h2>Hi</h2><p>body</p></section>');
+    });
+
+    it('calls the lifecycle hooks of class components', () => {
+        const calls = [];
+        /** @type {Counter|null} */
+        let counter = null;
+        class Counter extends Component {
+            /** @param {Record<string, any>} props */
+            constructor(props) {
+                super(props);
+                this.state = { count: props.start };
+                counter = this;
+            }
+
+            render() {
+                return h('b', {}, `${this.props.label} ${this.state.count}`);
+            }
+
+            onMount() {
+                calls.push(`mount ${app.textContent}`);
+            }
+
+            /**
+             * @param {Record<string, any>} prevProps
+             * @param {Record<string, any>} prevState
+             */
+            onUpdate(prevProps, prevState) {
+                calls.push(`update ${prevProps.label} ${prevState.count}`);
+            }
+
+            onUnmount() {
+                calls.push('unmount');
+            }
+        }
+
+        const first = h('div', {}, [h(Counter, { start: 1, label: 'a' })]);
+        Dom.renderWithDiff(app, first);
+        /** @type {any} */ (counter).setState({ count: 2 });
+        assert.equal(app.innerHTML, '<div><b>a 2</b></div>');
+
+        const second = h('div', {}, [h(Counter, { start: 1, label: 'b' })]);
+        Dom.renderWithDiff(app, second, first);
+        assert.equal(app.innerHTML, '<div><b>b 2</b></div>');
+
+        Dom.renderWithDiff(app, h('div', {}, []), second);
+        assert.deepEqual(calls, ['mount a 1', 'update a 1', 'update a 2', 'unmount']);
+    });
+
+    it('reports a class component without render()', () => {
+        class Empty extends Component {}
+        assert.throws(() => Dom.renderWithDiff(app, h(Empty, {})), /render\(\)/);
+    });
+});
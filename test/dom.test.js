@@ -0,0 +1,387 @@
+import { tick } from './setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Dom } from '../src/dom.js';
+import { Logger } from '../src/logger.js';
+import { Component } from '../src/component.js';
+import { State } from '../src/state.js';
+
+const h = Dom.h.bind(Dom);
+
+/** @type {HTMLElement} */
+let app;
+
+beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    app = /** @type {HTMLElement} */ (document.getElementById('app'));
+});
+
+describe('Fragments', () => {
+    it('patches fragments whose number of nodes changes', () => {
+        /** @param {{ items: string[] }} props */
+        const Items = ({ items }) => h(Dom.Fragment, {}, items.map(item => h('li', {}, item)));
+        const before = h('ul', {}, [h('li', {}, 'first'), h(Items, { items: ['a', 'b'] }), h('li', {}, 'last')]);
+        Dom.renderWithDiff(app, before);
+        const last = app.querySelector('li:last-child');
+
+        const after = h('ul', {}, [h('li', {}, 'first'), h(Items, { items: ['a', 'b', 'c'] }), h('li', {}, 'last')]);
+        Dom.renderWithDiff(app, after, before);
+        assert.equal(app.innerHTML, '<ul><li>first</li><li>a</li><li>b</li><li>c</li><li>last</li></ul>');
+
+        Dom.renderWithDiff(app, h('ul', {}, [h('li', {}, 'first'), h(Items, { items: [] }), h('li', {}, 'last')]), after);
+        assert.equal(app.innerHTML, '<ul><li>first</li><li>last</li></ul>');
+        assert.equal(app.querySelector('li:last-child'), last);
+    });
+});
+
+describe('Namespaces', () => {
+    it('creates SVG and MathML elements in their namespace, and HTML in foreignObject', () => {
+        Dom.renderWithDiff(app, h('div', {}, [
+            h('svg', { viewBox: '0 0 10 10', 'xlink:href': '#a' }, [
+                h('circle', { r: 5 }, []),
+                h('foreignObject', {}, [h('p', {}, 'html')]),
+            ]),
+            h('math', {}, [h('mi', {}, 'x')]),
+        ]));
+
+        const svg = /** @type {Element} */ (app.querySelector('svg'));
+        assert.equal(svg.namespaceURI, 'http://www.w3.org/2000/svg');
+        assert.equal(svg.getAttribute('viewBox'), '0 0 10 10');
+        assert.equal(svg.getAttributeNS('http://www.w3.org/1999/xlink', 'href'), '#a');
+        assert.equal(app.querySelector('circle')?.namespaceURI, 'http://www.w3.org/2000/svg');
+        assert.equal(app.querySelector('p')?.namespaceURI, 'http://www.w3.org/1999/xhtml');
+        assert.equal(app.querySelector('mi')?.namespaceURI, 'http://www.w3.org/1998/Math/MathML');
+    });
+});
+
+describe('Form controls', () => {
+    it('keeps what the user typed when the VNode value did not change', () => {
+        /** @param {string} value */
+        const view = (value) => h('input', { value }, []);
+        const before = view('draft');
+        Dom.renderWithDiff(app, before);
+        const input = /** @type {HTMLInputElement} */ (app.querySelector('input'));
+        input.value = 'draft!';
+        input.setSelectionRange(2, 2);
+
+        const same = view('draft!');
+        Dom.renderWithDiff(app, same, before);
+        assert.equal(input.value, 'draft!');
+        assert.equal(input.selectionStart, 2);
+
+        Dom.renderWithDiff(app, view(''), same);
+        assert.equal(input.value, '');
+    });
+
+    it('binds controls to a State in both directions', () => {
+        localStorage.clear();
+        const state = new State({ name: 'Ada', agree: false, tags: ['b'] });
+        const view = () => h('form', {}, [
+            h('input', { ...Dom.bind(state, 'name') }, []),
+            h('input', { type: 'checkbox', ...Dom.bind(state, 'agree', { type: 'checkbox' }) }, []),
+            h('select', { ...Dom.bind(state, 'tags', { type: 'select-multiple' }) }, [
+                h('option', { value: 'a' }, 'A'), h('option', { value: 'b' }, 'B'),
+            ]),
+        ]);
+        let vtree = view();
+        Dom.renderWithDiff(app, vtree);
+        state.subscribe(() => {
+            const next = view();
+            Dom.renderWithDiff(app, next, vtree);
+            vtree = next;
+        });
+
+        const [text, checkbox] = /** @type {NodeListOf<HTMLInputElement>} */ (app.querySelectorAll('input'));
+        const select = /** @type {HTMLSelectElement} */ (app.querySelector('select'));
+        assert.equal(text.value, 'Ada');
+        assert.deepEqual(Array.from(select.selectedOptions, option => option.value), ['b']);
+
+        text.value = 'Grace';
+        text.dispatchEvent(new window.Event('input', { bubbles: true }));
+        checkbox.click();
+        select.options[0].selected = true;
+        select.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+        assert.deepEqual(state.getState(), { name: 'Grace', agree: true, tags: ['a', 'b'] });
+        assert.equal(checkbox.checked, true);
+    });
+});
+
+describe('Portals', () => {
+    it('renders into another container and removes its content on unmount', () => {
+        const modal = document.createElement('div');
+        document.body.appendChild(modal);
+
+        /** @param {string} text */
+        const view = (text) => h('main', {}, [h('p', {}, 'page'), Dom.createPortal(h('dialog', {}, text), modal)]);
+        const before = view('Hello');
+        Dom.renderWithDiff(app, before);
+        assert.equal(app.innerHTML, '<main><p>page</p></main>');
+        assert.equal(modal.innerHTML, '<dialog>Hello</dialog>');
+
+        const after = view('Bye');
+        Dom.renderWithDiff(app, after, before);
+        assert.equal(modal.innerHTML, '<dialog>Bye</dialog>');
+
+        Dom.renderWithDiff(app, h('main', {}, [h('p', {}, 'page')]), after);
+        assert.equal(modal.innerHTML, '');
+        assert.equal(app.innerHTML, '<main><p>page</p></main>');
+    });
+});
+
+describe('Class and style', () => {
+    it('normalizes class strings, arrays and objects', () => {
+        Dom.renderWithDiff(app, h('p', { class: ['item', { done: true, editing: false }, null, ['big']] }, []));
+        assert.equal(app.querySelector('p')?.className, 'item done big');
+    });
+
+    it('removes the styles and classes a patch drops, and keeps the ones added elsewhere', () => {
+        const before = h('p', { class: 'a b', style: { color: 'red', fontSize: '12px', '--gap': '4px' } }, []);
+        Dom.renderWithDiff(app, before);
+        const p = /** @type {HTMLElement} */ (app.querySelector('p'));
+        p.classList.add('external');
+
+        Dom.renderWithDiff(app, h('p', { class: { b: true, c: true }, style: 'color: blue' }, []), before);
+        assert.deepEqual(Array.from(p.classList).sort(), ['b', 'c', 'external']);
+        assert.equal(p.style.color, 'blue');
+        assert.equal(p.style.fontSize, '');
+        assert.equal(p.style.getPropertyValue('--gap'), '');
+    });
+});
+
+describe('Transitions', () => {
+    it('runs the enter phase and keeps a leaving element until its transition ends', async () => {
+        const transition = { name: 'fade', timeout: 30 };
+        /** @param {boolean} open */
+        const view = (open) => h('div', {}, open ? [h('p', { key: 'p', transition }, 'hi')] : []);
+        const before = view(false);
+        Dom.renderWithDiff(app, before);
+        const shown = view(true);
+        Dom.renderWithDiff(app, shown, before);
+
+        const p = /** @type {HTMLElement} */ (app.querySelector('p'));
+        assert.deepEqual(Array.from(p.classList), ['fade-enter-from', 'fade-enter-active']);
+        await tick(200);
+        assert.equal(p.className, '');
+
+        Dom.renderWithDiff(app, view(false), shown);
+        assert.equal(p.parentNode, app.firstChild);
+        assert.ok(p.classList.contains('fade-leave-active'));
+        await tick(200);
+        assert.equal(p.parentNode, null);
+    });
+    it('gives moved elements their own transform and transition duration back', async (t) => {
+        // jsdom has no layout: place each element by its index
+        t.mock.method(Element.prototype, 'getBoundingClientRect', function () {
+            const top = this.parentNode ? Array.prototype.indexOf.call(this.parentNode.children, this) * 20 : 0;
+            return /** @type {DOMRect} */ ({ top, left: 0, width: 100, height: 20 });
+        });
+        const transition = { name: 'list', timeout: 30 };
+        const style = { transform: 'scale(2)', transitionDuration: '50ms' };
+        /** @param {string[]} keys */
+        const view = (keys) => h('ul', {}, keys.map(key => h('li', { key, transition, style }, key)));
+        const before = view(['a', 'b']);
+        Dom.renderWithDiff(app, before);
+        await tick(200);
+
+        const a = /** @type {HTMLElement} */ (app.querySelector('li'));
+        Dom.renderWithDiff(app, view(['b', 'a']), before);
+        assert.equal(a.style.transform, 'translate(0px, -20px)');
+        await tick(200);
+        assert.equal(a.className, '');
+        assert.equal(a.style.transform, 'scale(2)');
+        assert.equal(a.style.transitionDuration, '50ms');
+    });
+});
+
+describe('Keyed children', () => {
+    /** @param {number[]} ids */
+    const list = (ids) => h('ul', {}, ids.map(id => h('li', { key: id }, String(id))));
+
+    it('moves keyed nodes instead of recreating them', () => {
+        const before = list([1, 2, 3]);
+        Dom.renderWithDiff(app, before);
+        const nodes = Array.from(app.querySelectorAll('li'));
+
+        Dom.renderWithDiff(app, list([3, 1, 4, 2]), before);
+        const after = Array.from(app.querySelectorAll('li'));
+        assert.deepEqual(after.map(li => li.textContent), ['3', '1', '4', '2']);
+        assert.equal(after[0], nodes[2]);
+        assert.equal(after[1], nodes[0]);
+        assert.equal(after[3], nodes[1]);
+    });
+
+    it('does not write the key to the DOM', () => {
+        const before = list([1, 2]);
+        Dom.renderWithDiff(app, before);
+        Dom.renderWithDiff(app, list([2, 3]), before);
+        assert.equal(app.innerHTML, '<ul><li>2</li><li>3</li></ul>');
+    });
+});
+
+describe('Server rendering', () => {
+    it('writes the value of a textarea as its content only', () => {
+        assert.equal(
+            Dom.renderToString(h('textarea', { name: 'bio', value: 'a < b' }, [])),
+            '<textarea name="bio">a &lt; b</textarea>'
+        );
+    });
+
+    it('marks the options selected by the value of their select', () => {
+        const select = h('select', { value: 'b' }, [
+            h('option', { value: 'a' }, 'A'),
+            h('optgroup', { label: 'More' }, [h('option', { value: 'b' }, 'B')]),
+        ]);
+        assert.equal(
+            Dom.renderToString(select),
+            '<select><option value="a">A</option><optgroup label="More"><option value="b" selected>B</option></optgroup></select>'
+        );
+
+        const multiple = h('select', { multiple: true, value: ['x', 'z'] }, [
+            h('option', {}, 'x'), h('option', {}, 'y'), h('option', {}, ' z '),
+        ]);
+        assert.equal(
+            Dom.renderToString(multiple),
+            '<select multiple><option selected>x</option><option>y</option><option selected> z </option></select>'
+        );
+    });
+
+    it('skips attribute names that would break out of the tag', () => {
+        const attrs = { id: 'a', 'x"><script>': '1', 'data-ok': 'y', 'tab index': 'z', 'a=b': 'c' };
+        assert.equal(Dom.renderToString(h('div', attrs, [])), '<div id="a" data-ok="y"></div>');
+    });
+
+    it('keeps the text of script and style elements from closing them', () => {
+        const payload = 'const a = "</script><img src=x onerror=alert(1)>";';
+        assert.equal(
+            Dom.renderToString(h('script', {}, payload)),
+            '<script>const a = "<\\/script><img src=x onerror=alert(1)>";</script>'
+        );
+        assert.equal(
+            Dom.renderToString(h('style', {}, 'a::after { content: "</STYLE>"; } b > i {}')),
+            '<style>a::after { content: "<\\/STYLE>"; } b > i {}</style>'
+        );
+
+        const view = h('div', {}, [h('style', {}, 'p::after { content: "</p>"; }')]);
+        app.innerHTML = Dom.renderToString(view);
+        const warnings = [];
+        const warn = console.warn;
+        console.warn = (...args) => warnings.push(args);
+        Logger.setLevel('warn');
+        try {
+            Dom.hydrate(app, view);
+        } finally {
+            Logger.setLevel('silent');
+            console.warn = warn;
+        }
+        assert.deepEqual(warnings, []);
+    });
+
+    it('hydrates form controls without reporting their value as a mismatch', () => {
+        const view = () => h('form', {}, [
+            h('textarea', { value: 'hello' }, []),
+            h('select', { value: 'b' }, [h('option', { value: 'a' }, 'A'), h('option', { value: 'b' }, 'B')]),
+        ]);
+        app.innerHTML = Dom.renderToString(view());
+
+        const warnings = [];
+        const warn = console.warn;
+        console.warn = (...args) => warnings.push(args);
+        Logger.setLevel('warn');
+        try {
+            Dom.hydrate(app, view());
+        } finally {
+            Logger.setLevel('silent');
+            console.warn = warn;
+        }
+        assert.deepEqual(warnings, []);
+        assert.equal(app.querySelector('textarea')?.value, 'hello');
+        assert.equal(app.querySelector('select')?.value, 'b');
+    });
+});
+
+describe('Error boundaries', () => {
+    it('does not leave components of a failed render marked as mounted', () => {
+        const instances = [];
+        const calls = [];
+        class Widget extends Component {
+            constructor(props) {
+                super(props);
+                instances.push(this);
+            }
+
+            render() {
+                return h('p', {}, 'widget');
+            }
+
+            onMount() {
+                calls.push('mount');
+            }
+
+            onUnmount() {
+                calls.push('unmount');
+            }
+        }
+        function Broken() {
+            throw new Error('broken');
+        }
+
+        const tree = h(Dom.ErrorBoundary, { fallback: h('p', {}, 'failed') }, [h(Widget, {}), h(Broken, {})]);
+        Dom.renderWithDiff(app, tree);
+
+        assert.equal(app.innerHTML, '<p>failed</p>');
+        assert.equal(instances.length, 1);
+        assert.equal(instances[0]._mounted, false);
+        instances[0].setState({});
+        assert.deepEqual(calls, []);
+    });
+    it('runs no hooks and attaches no refs when a render without a boundary throws', () => {
+        const calls = [];
+        class Widget extends Component {
+            render() {
+                return h('p', {}, 'widget');
+            }
+
+            onMount() {
+                calls.push('mount');
+            }
+        }
+        function Broken() {
+            throw new Error('broken');
+        }
+        const ref = { current: null };
+
+        assert.throws(() => Dom.createFromVNode(h('div', {}, [h(Widget, {}), h('span', { ref }), h(Broken, {})])), /broken/);
+        assert.deepEqual(calls, []);
+        assert.equal(ref.current, null);
+
+        Dom.createFromVNode(h('div', {}, [h(Widget, {})]));
+        assert.deepEqual(calls, ['mount']);
+    });
+});
+
+describe('Refs', () => {
+    it('moves a component ref to the new one when the instance is kept', () => {
+        class Counter extends Component {
+            render() {
+                return h('span', {}, 'counter');
+            }
+        }
+        const first = Dom.createRef();
+        const second = Dom.createRef();
+        const before = h('div', {}, [h(Counter, { ref: first })]);
+        Dom.renderWithDiff(app, before);
+        const instance = first.current;
+        assert.ok(instance instanceof Counter);
+
+        const after = h('div', {}, [h(Counter, { ref: second })]);
+        Dom.renderWithDiff(app, after, before);
+        assert.equal(first.current, null);
+        assert.equal(second.current, instance);
+
+        const calls = [];
+        Dom.renderWithDiff(app, h('div', {}, [h(Counter, { ref: (value) => calls.push(value) })]), after);
+        assert.equal(second.current, null);
+        assert.deepEqual(calls, [instance]);
+    });
+});
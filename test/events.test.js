@@ -0,0 +1,198 @@
+import { tick } from './setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Event } from '../src/events.js';
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <div id="app">
+            <ul class="item" id="outer">
+                <li class="item" id="inner"><button id="button">x</button></li>
+            </ul>
+            <input id="field">
+        </div>`;
+});
+
+/**
+ * @param {string} id
+ * @param {string} [type='click']
+ */
+function fire(id, type = 'click') {
+    document.getElementById(id)?.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true }));
+}
+
+/**
+ * @param {string} id
+ * @param {Object} init - KeyboardEvent properties
+ */
+function key(id, init) {
+    document.getElementById(id)?.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init }));
+}
+
+describe('Custom events', () => {
+    it('emits bubbling events with their detail to a target or the root', () => {
+        const events = new Event({ delegate: true, root: '#app' });
+        const calls = [];
+        events.onEvent('cart:updated', '#outer', (e) => calls.push(`outer ${/** @type {CustomEvent} */ (e).detail.count}`));
+        events.onEvent('cart:updated', '#app', (e) => {
+            calls.push('root');
+            e.preventDefault();
+        });
+
+        assert.equal(events.emit('cart:updated', { count: 2 }, '#inner'), false);
+        events.emit('cart:updated', { count: 3 });
+        assert.throws(() => events.emit('cart:updated', null, '#missing'));
+        events.destroy();
+        assert.deepEqual(calls, ['outer 2', 'root', 'root']);
+    });
+});
+
+describe('Listener options', () => {
+    it('debounces and throttles callbacks', async () => {
+        const events = new Event({ root: '#app' });
+        const calls = [];
+        events.onEvent('input.debounce(20)', '#field', () => calls.push('debounced'));
+        events.onEvent('input', '#field', () => calls.push('plain'), { throttle: 1000 });
+        const field = /** @type {HTMLInputElement} */ (document.getElementById('field'));
+        for (let i = 0; i < 3; i++) field.dispatchEvent(new window.Event('input', { bubbles: true }));
+        assert.deepEqual(calls, ['plain']);
+
+        await tick(60);
+        events.destroy();
+        assert.deepEqual(calls, ['plain', 'debounced']);
+    });
+
+    it('removes a handler when its signal aborts', () => {
+        const events = new Event({ root: '#app' });
+        const controller = new AbortController();
+        const calls = [];
+        events.onEvent('click', '#button', () => calls.push('click'), { signal: controller.signal });
+        fire('button');
+        controller.abort();
+        fire('button');
+        events.destroy();
+        assert.deepEqual(calls, ['click']);
+    });
+
+    it('runs self handlers only for events on the element itself', () => {
+        const events = new Event({ root: '#app' });
+        const calls = [];
+        events.onEvent('click.self', '#inner', () => calls.push('self'));
+        fire('button');
+        fire('inner');
+        events.destroy();
+        assert.deepEqual(calls, ['self']);
+    });
+});
+
+describe('Scoped instances', () => {
+    it('only handles elements inside its root, and destroy() leaves other instances alone', async () => {
+        document.body.insertAdjacentHTML('beforeend', '<div id="other"><button class="b">y</button></div>');
+        document.getElementById('button')?.classList.add('b');
+        const app = new Event({ root: '#app' });
+        const other = new Event({ root: /** @type {Element} */ (document.getElementById('other')) });
+        const calls = [];
+        app.onEvent('click', '.b', () => calls.push('app'));
+        other.onEvent('click', '.b', () => calls.push('other'));
+
+        /** @type {Element} */ (document.querySelector('#other .b')).dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        app.destroy();
+        fire('button');
+        /** @type {Element} */ (document.querySelector('#other .b')).dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+        // Elements added later are handled once the observer sees them
+        document.getElementById('other')?.insertAdjacentHTML('beforeend', '<button class="b" id="late">z</button>');
+        await tick();
+        fire('late');
+        other.destroy();
+        assert.deepEqual(calls, ['other', 'other', 'other']);
+    });
+
+    it('rejects a root selector that matches nothing', () => {
+        assert.throws(() => new Event({ root: '#missing' }), { code: 'INVALID_ROOT' });
+    });
+});
+
+describe('Event names', () => {
+    it('removes handlers by namespace and type with off()', () => {
+        const events = new Event({ root: '#app' });
+        const calls = [];
+        events.onEvent('click.modal', '#button', () => calls.push('modal'));
+        events.onEvent('click.modal.form', '#button', () => calls.push('form'));
+        events.onEvent('keydown.modal', '#field', () => calls.push('key'));
+        events.onEvent('click', '#button', () => calls.push('plain'));
+        events.onEvent('click', '#button', () => calls.push('grouped'), { group: 'modal' });
+
+        assert.equal(events.off('click.form'), 1);
+        assert.equal(events.off('.modal'), 3);
+        fire('button');
+        key('field', { key: 'a' });
+        events.destroy();
+        assert.deepEqual(calls, ['plain']);
+    });
+
+    it('treats key names as namespaces outside keyboard events', () => {
+        const events = new Event({ root: '#app' });
+        const calls = [];
+        events.onEvent('click.enter', '#button', () => calls.push('click'));
+        fire('button');
+        assert.equal(events.off('.enter'), 1);
+        events.destroy();
+        assert.deepEqual(calls, ['click']);
+    });
+
+    it('rejects malformed modifiers and conflicting options', () => {
+        const events = new Event({ root: '#app' });
+        assert.throws(() => events.onEvent('click.debounce(x)', '#button', () => {}), { code: 'INVALID_MODIFIER' });
+        assert.throws(() => events.onEvent('click.a+b', '#button', () => {}), { code: 'INVALID_MODIFIER' });
+        assert.throws(() => events.onEvent('scroll.passive.prevent', '#app', () => {}), { code: 'INVALID_OPTIONS' });
+        assert.throws(() => events.onEvent('input.debounce(10).throttle(10)', '#field', () => {}), { code: 'INVALID_OPTIONS' });
+        events.destroy();
+    });
+});
+
+[false, true].forEach(delegate => {
+    describe(`Event handlers (${delegate ? 'delegated' : 'bound to elements'})`, () => {
+        it('runs for every matching element, deepest first', () => {
+            const events = new Event({ delegate, root: '#app' });
+            const calls = [];
+            events.onEvent('click', '.item', (e, el) => calls.push(`a ${/** @type {Element} */ (el).id}`));
+            events.onEvent('click', '.item', (e, el) => calls.push(`b ${/** @type {Element} */ (el).id}`));
+            fire('button');
+            events.destroy();
+            assert.deepEqual(calls, ['a inner', 'b inner', 'a outer', 'b outer']);
+        });
+
+        it('stops at stopPropagation() and stopImmediatePropagation()', () => {
+            const events = new Event({ delegate, root: '#app' });
+            const calls = [];
+            events.onEvent('click', '.item', (e, el) => {
+                calls.push(`a ${/** @type {Element} */ (el).id}`);
+                e.stopImmediatePropagation();
+            });
+            events.onEvent('click', '.item', (e, el) => calls.push(`b ${/** @type {Element} */ (el).id}`));
+            fire('button');
+
+            events.onEvent('click', '#button', (e) => { calls.push('button'); e.stopPropagation(); });
+            fire('button');
+            events.destroy();
+            assert.deepEqual(calls, ['a inner', 'button']);
+        });
+
+        it('applies modifiers and key names', () => {
+            const events = new Event({ delegate, root: '#app' });
+            const calls = [];
+            events.onEvent('keydown.enter.prevent', '#field', (e) => calls.push(`enter ${e.defaultPrevented}`));
+            events.onEvent('keydown.ctrl.s', '#field', () => calls.push('save'));
+            events.onEvent('click.once', '#button', () => calls.push('once'));
+            key('field', { key: 'Enter' });
+            key('field', { key: 'a' });
+            key('field', { key: 's' });
+            key('field', { key: 's', ctrlKey: true });
+            fire('button');
+            fire('button');
+            events.destroy();
+            assert.deepEqual(calls, ['enter true', 'save', 'once']);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+import { tick } from './setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Event } from '../src/events.js';
+
+/** Current time returned by performance.now() */
+let now = 0;
+
+/**
+ * Dispatches a pointer event; jsdom has no PointerEvent, a MouseEvent stands in.
+ * @param {string} type
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [pointerId=1]
+ */
+function pointer(type, x, y, pointerId = 1) {
+    const e = new MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y, button: 0 });
+    Object.defineProperty(e, 'pointerId', { value: pointerId });
+    Object.defineProperty(e, 'pointerType', { value: 'touch' });
+    document.getElementById('handle')?.dispatchEvent(e);
+}
+
+/**
+ * @param {[string, number, number, number][]} steps - Time, type and position of each event
+ */
+function gesture(steps) {
+    steps.forEach(([type, time, x, y]) => {
+        now = time;
+        pointer(type, x, y);
+    });
+}
+
+beforeEach((t) => {
+    document.body.innerHTML = '<div id="app"><div class="card" id="card"><span id="handle">x</span></div></div>';
+    t.mock.method(performance, 'now', () => now);
+});
+
+[false, true].forEach(delegate => {
+    describe(`Gestures (${delegate ? 'delegated' : 'bound to elements'})`, () => {
+        it('recognizes a fast swipe and its direction', () => {
+            const events = new Event({ delegate, root: '#app' });
+            const calls = [];
+            events.onGesture('swipe', '.card', (g, el) => calls.push(`${g.type} ${g.deltaX} ${/** @type {Element} */ (el).id}`));
+            events.onGesture('swiperight', '.card', () => calls.push('right'));
+            gesture([['pointerdown', 0, 100, 10], ['pointermove', 10, 80, 10], ['pointermove', 20, 40, 12], ['pointerup', 25, 40, 12]]);
+            events.destroy();
+            assert.deepEqual(calls, ['swipeleft -60 card']);
+        });
+
+        it('drags without swiping when released after a pause', () => {
+            const events = new Event({ delegate, root: '#app' });
+            const calls = [];
+            ['swipe', 'dragstart', 'drag', 'dragend'].forEach(name => {
+                events.onGesture(name, '.card', (g) => calls.push(`${g.type} ${g.deltaX}`));
+            });
+            gesture([['pointerdown', 0, 0, 0], ['pointermove', 100, 3, 0], ['pointermove', 200, 50, 0], ['pointerup', 500, 50, 0]]);
+            events.destroy();
+            assert.deepEqual(calls, ['dragstart 50', 'drag 50', 'dragend 50']);
+        });
+
+        it('recognizes a long press and a pinch', async () => {
+            const events = new Event({ delegate, root: '#app' });
+            const calls = [];
+            events.onGesture('longpress', '.card', () => calls.push('longpress'), { longPressDelay: 10 });
+            events.onGesture('pinch', '.card', (g) => calls.push(`pinch ${g.scale}`));
+            pointer('pointerdown', 0, 0);
+            await tick(30);
+            pointer('pointerup', 0, 0);
+
+            pointer('pointerdown', 0, 0, 1);
+            pointer('pointerdown', 100, 0, 2);
+            pointer('pointermove', 200, 0, 2);
+            pointer('pointerup', 200, 0, 2);
+            pointer('pointerup', 0, 0, 1);
+            events.destroy();
+            assert.deepEqual(calls, ['longpress', 'pinch 2']);
+        });
+    });
+});
+
+describe('Gesture handlers', () => {
+    it('are removed by id or namespace, and unknown gestures are rejected', () => {
+        const events = new Event({ root: '#app' });
+        const calls = [];
+        const id = events.onGesture('swipe', '.card', () => calls.push('id'));
+        events.onGesture('swipe.cards', '.card', () => calls.push('namespaced'));
+        assert.equal(events.removeGesture(id), true);
+        assert.equal(events.off('.cards'), 1);
+        gesture([['pointerdown', 0, 100, 10], ['pointermove', 10, 40, 10], ['pointerup', 15, 40, 10]]);
+        assert.throws(() => events.onGesture('twirl', '.card', () => {}), { code: 'UNSUPPORTED_GESTURE' });
+        events.destroy();
+        assert.deepEqual(calls, []);
+    });
+    it('get IDs that no event handler has', () => {
+        const events = new Event({ root: '#app' });
+        const calls = [];
+        const handlerId = events.onEvent('click', '#handle', () => calls.push('click'));
+        const gestureId = events.onGesture('swipe', '.card', () => {});
+        assert.notEqual(gestureId, handlerId);
+        assert.equal(events.removeEvent(gestureId), false);
+        document.getElementById('handle')?.click();
+        events.destroy();
+        assert.deepEqual(calls, ['click']);
+    });
+});
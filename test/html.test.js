@@ -0,0 +1,52 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Dom } from '../src/dom.js';
+import { html } from '../src/html.js';
+
+describe('html templates', () => {
+    it('creates the same markup as Dom.h()', () => {
+        const todos = [{ id: 1, title: 'a < b', done: true }, { id: 2, title: 'c', done: false }];
+        const view = html`
+            <ul class="todos">
+                ${todos.map(todo => html`<li key=${todo.id} class=${{ done: todo.done }}>${todo.title}</li>`)}
+            </ul>
+        `;
+        const expected = Dom.h('ul', { class: 'todos' }, todos.map(todo =>
+            Dom.h('li', { key: todo.id, class: { done: todo.done } }, todo.title)
+        ));
+        assert.equal(Dom.renderToString(view), Dom.renderToString(expected));
+        assert.equal(
+            Dom.renderToString(view),
+            '<ul class="todos"><li class="done">a &lt; b</li><li>c</li></ul>'
+        );
+    });
+
+    it('supports components, spreads, self-closing tags and entities', () => {
+        /** @param {Record<string, any>} props */
+        const Card = ({ title, children }) => html`<section><h2>${title}</h2>${children}</section>`;
+        const props = { title: 'Profile' };
+        const view = html`<${Card} ...${props}><img src=${'/a.png'} alt="A &amp; B" /><br><//>`;
+        assert.equal(
+            Dom.renderToString(view),
+            '<section><h2>Profile</h2><img src="/a.png" alt="A &amp; B"><br></section>'
+        );
+    });
+
+    it('returns a fragment for several roots', () => {
+        const view = html`<b>1</b><i>2</i>`;
+        assert.equal(view.tag, Dom.Fragment);
+        assert.equal(Dom.renderToString(view), '<b>1</b><i>2</i>');
+    });
+
+    it('rejects malformed markup', () => {
+        assert.throws(() => html`<div><span></div>`, { code: 'INVALID_TEMPLATE' });
+    });
+});
+
+describe('Dom.jsx', () => {
+    it('flattens its children like a JSX factory', () => {
+        const vnode = Dom.jsx('p', { id: 'x' }, 'a', ['b', ['c']]);
+        assert.equal(Dom.renderToString(vnode), '<p id="x">abc</p>');
+    });
+});
@@ -0,0 +1,81 @@
+import './setup.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger } from '../src/logger.js';
+import { Instrumentation } from '../src/instrumentation.js';
+import { Dom } from '../src/dom.js';
+import { State } from '../src/state.js';
+import { Route } from '../src/routes.js';
+
+describe('Logger', () => {
+    /** @type {string[][]} */
+    let written;
+    const originals = { error: console.error, warn: console.warn, info: console.info, debug: console.debug };
+
+    beforeEach(() => {
+        written = [];
+        /** @type {(keyof typeof originals)[]} */ (Object.keys(originals)).forEach(method => {
+            console[method] = (...args) => written.push([method, ...args.map(String)]);
+        });
+    });
+    afterEach(() => {
+        Object.assign(console, originals);
+        Logger.setLevel('silent');
+    });
+
+    it('writes nothing until a level is set', () => {
+        Logger.error('DOM', 'hidden');
+        assert.deepEqual(written, []);
+    });
+
+    it('writes the messages up to the current level, prefixed with the module', () => {
+        Logger.setLevel('warn');
+        Logger.error('DOM', 'broken');
+        Logger.warn('ROUTE', 'odd');
+        Logger.info('STATE', 'hidden');
+        assert.deepEqual(written, [['error', '[DOM]', 'broken'], ['warn', '[ROUTE]', 'odd']]);
+        assert.equal(Logger.isEnabled('debug'), false);
+    });
+
+    it('rejects unknown levels', () => {
+        assert.throws(() => Logger.setLevel(/** @type {any} */ ('loud')), { code: 'INVALID_LEVEL' });
+    });
+});
+
+describe('Instrumentation', () => {
+    it('reports state changes, routes and patches to the hooks of their type and to *', () => {
+        const events = [];
+        const stops = [
+            Instrumentation.on('*', ({ type }) => events.push(type)),
+            Instrumentation.on('route:change', ({ detail }) => events.push(detail)),
+        ];
+        assert.equal(Instrumentation.isObserved('dom:patch'), true);
+
+        localStorage.clear();
+        new State({ a: 1 }).setState({ a: 2 });
+        const router = new Route();
+        router.addRoute('/users/:id', () => {});
+        router.navigate('/users/1');
+        Dom.renderWithDiff(/** @type {HTMLElement} */ (document.getElementById('app')), Dom.h('p', {}, 'x'));
+        stops.forEach(stop => stop());
+
+        assert.deepEqual(events, [
+            'state:change',
+            { from: null, to: '/users/1', found: true, pattern: '/users/:id' },
+            'route:change',
+            'dom:patch',
+        ]);
+        assert.equal(Instrumentation.isObserved('dom:patch'), false);
+    });
+
+    it('keeps calling the other hooks when one throws', () => {
+        const calls = [];
+        const stops = [
+            Instrumentation.on('custom', () => { throw new Error('hook'); }),
+            Instrumentation.on('custom', () => calls.push('second')),
+        ];
+        Instrumentation.emit('custom', {});
+        stops.forEach(stop => stop());
+        assert.deepEqual(calls, ['second']);
+    });
+});
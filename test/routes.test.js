@@ -0,0 +1,355 @@
+import { tick } from './setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Route } from '../src/routes.js';
+import { Dom } from '../src/dom.js';
+import { Component } from '../src/component.js';
+import { Logger } from '../src/logger.js';
+
+const h = Dom.h.bind(Dom);
+
+/** @type {HTMLElement} */
+let app;
+
+beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    app = /** @type {HTMLElement} */ (document.getElementById('app'));
+    history.replaceState(null, '', '/');
+});
+
+describe('History mode', () => {
+    it('builds links and reads the URL under the base path', () => {
+        assert.equal(new Route().href('/about'), '#/about');
+        assert.equal(new Route({ mode: 'history', base: 'app/' }).href('about'), '/app/about');
+
+        history.replaceState(null, '', '/app/users/7?tab=posts');
+        const router = new Route({ mode: 'history', base: '/app' });
+        /** @type {any} */
+        let context = null;
+        router.addRoute('/users/:id', (ctx) => { context = ctx; });
+        router.init();
+        router.destroy();
+        assert.equal(context.params.id, '7');
+        assert.deepEqual(context.query, { tab: 'posts' });
+    });
+
+    it('navigates on plain clicks on links to routes under the base path', () => {
+        history.replaceState(null, '', '/app/');
+        const router = new Route({ mode: 'history', base: '/app' });
+        const rendered = [];
+        ['/', '/about'].forEach(path => router.addRoute(path, () => rendered.push(path)));
+        router.init();
+
+        /** @type {boolean[]} */
+        const prevented = [];
+        /** @param {Event} e */
+        const record = (e) => {
+            prevented.push(e.defaultPrevented);
+            e.preventDefault();
+        };
+        window.addEventListener('click', record);
+        app.innerHTML = `
+            <a id="route" href="/app/about"><span id="label">About</span></a>
+            <a id="outside" href="/docs"></a>
+            <a id="external" href="https://example.com/app/about"></a>
+            <a id="blank" href="/app/about" target="_blank"></a>
+            <a id="download" href="/app/about" download></a>`;
+        /**
+         * @param {string} id
+         * @param {MouseEventInit} [init]
+         */
+        const click = (id, init) => document.getElementById(id)?.dispatchEvent(
+            new MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ...init })
+        );
+        try {
+            click('outside');
+            click('external');
+            click('blank');
+            click('download');
+            click('label', { ctrlKey: true });
+            assert.deepEqual(prevented, [false, false, false, false, false]);
+
+            click('label');
+            assert.equal(prevented[5], true);
+            assert.equal(location.pathname, '/app/about');
+            assert.deepEqual(rendered, ['/', '/about']);
+        } finally {
+            window.removeEventListener('click', record);
+            router.destroy();
+        }
+    });
+});
+
+describe('Route matching', () => {
+    it('prefers static segments, then parameters, optional ones, then splats', () => {
+        const router = new Route();
+        const matched = [];
+        ['*', '/users/*rest', '/users/:id?', '/users/:id', '/users/new'].forEach(pattern => {
+            router.addRoute(pattern, (ctx) => matched.push(ctx.pattern));
+        });
+
+        ['/users/new', '/users/42', '/users', '/users/42/posts', '/about'].forEach(path => router.navigate(path));
+        assert.deepEqual(matched, ['/users/new', '/users/:id', '/users/:id?', '/users/*rest', '*']);
+    });
+
+    it('decodes parameters and parses the query and hash', () => {
+        const router = new Route();
+        let context;
+        router.addRoute('/files/:dir/*path', (ctx) => { context = ctx; });
+        router.navigate('/files/my%20docs/a/b.txt?tag=x&tag=y&q=1#top');
+
+        assert.deepEqual(context, {
+            path: '/files/my%20docs/a/b.txt',
+            pattern: '/files/:dir/*path',
+            params: { dir: 'my docs', path: 'a/b.txt' },
+            query: { tag: ['x', 'y'], q: '1' },
+            hash: 'top',
+        });
+    });
+
+    it('rejects invalid patterns', () => {
+        const router = new Route();
+        assert.throws(() => router.addRoute('/a/*/b', () => {}), { code: 'INVALID_PATTERN' });
+        assert.throws(() => router.addRoute('/a/:', () => {}), { code: 'INVALID_PATTERN' });
+    });
+});
+
+describe('Nested routes', () => {
+    /**
+     * @param {string[]} log
+     * @returns {Route}
+     */
+    function createRouter(log) {
+        const router = new Route({ container: app });
+        router.addRoute('/settings', {
+            layout: (outlet) => h('section', {}, [h('nav', {}, 'menu'), outlet || '']),
+            enter: () => { log.push('enter settings'); return () => log.push('leave settings'); },
+            children: {
+                '/': () => h('p', {}, 'index'),
+                '/users/:id': {
+                    view: ({ params }) => h('p', {}, `user ${params.id}`),
+                    enter: ({ params }) => { log.push(`enter ${params.id}`); return () => log.push(`leave ${params.id}`); },
+                },
+            },
+        });
+        router.addRoute('/', { view: () => h('h1', {}, 'home') });
+        return router;
+    }
+
+    it('renders views in their layouts and keeps the shared levels entered', () => {
+        const log = [];
+        const router = createRouter(log);
+        router.navigate('/settings');
+        const nav = app.querySelector('nav');
+        router.navigate('/settings/users/1');
+        router.navigate('/settings/users/2');
+
+        assert.equal(app.innerHTML, '<section><nav>menu</nav><p>user 2</p></section>');
+        assert.equal(app.querySelector('nav'), nav);
+        assert.deepEqual(log, ['enter settings', 'enter 1', 'leave 1', 'enter 2']);
+
+        router.navigate('/');
+        assert.equal(app.innerHTML, '<h1>home</h1>');
+        assert.deepEqual(log.slice(4), ['leave 2', 'leave settings']);
+    });
+
+    it('leaves the rendered route and clears the container when nothing matches', () => {
+        const log = [];
+        const router = createRouter(log);
+        router.navigate('/settings/users/1');
+        router.navigate('/nope?x=1');
+
+        assert.equal(app.innerHTML, '');
+        assert.deepEqual(log, ['enter settings', 'enter 1', 'leave 1', 'leave settings']);
+
+        router.navigate('/settings/users/1');
+        assert.equal(app.innerHTML, '<section><nav>menu</nav><p>user 1</p></section>');
+        assert.deepEqual(log.slice(4), ['enter settings', 'enter 1']);
+    });
+
+    it('unmounts the components of a view left for an unmatched path', () => {
+        const router = new Route({ container: app });
+        let unmounted = 0;
+        class Widget extends Component {
+            render() {
+                return h('p', {}, 'widget');
+            }
+
+            onUnmount() {
+                unmounted++;
+            }
+        }
+        router.addRoute('/', { view: () => h('div', {}, [h(Widget, {})]) });
+        router.navigate('/');
+        router.navigate('/nope');
+
+        assert.equal(app.innerHTML, '');
+        assert.equal(unmounted, 1);
+    });
+});
+
+describe('Navigation guards', () => {
+    it('runs beforeLeave, beforeEach then beforeEnter, and afterEach once rendered', () => {
+        const router = new Route();
+        const log = [];
+        router.addRoute('/a', () => log.push('render a'), { beforeLeave: () => { log.push('leave a'); } });
+        router.addRoute('/b', () => log.push('render b'), { beforeEnter: () => { log.push('enter b'); } });
+        router.beforeEach((to, from) => { log.push(`each ${from ? from.path : null} ${to.path}`); });
+        router.afterEach((to) => log.push(`after ${to.path}`));
+
+        router.navigate('/a');
+        router.navigate('/b');
+        assert.deepEqual(log, [
+            'each null /a', 'render a', 'after /a',
+            'leave a', 'each /a /b', 'enter b', 'render b', 'after /b',
+        ]);
+    });
+
+    it('cancels on false and redirects on a path', async () => {
+        const router = new Route();
+        const rendered = [];
+        ['/', '/login'].forEach(path => router.addRoute(path, () => rendered.push(path)));
+        router.addRoute('/admin', () => rendered.push('/admin'), { beforeEnter: () => '/login' });
+        router.addRoute('/locked', () => rendered.push('/locked'), { beforeEnter: () => false });
+
+        assert.equal(await router.navigate('/'), true);
+        assert.equal(await router.navigate('/locked'), false);
+        assert.equal(location.hash, '#/');
+        assert.equal(await router.navigate('/admin'), true);
+        assert.equal(location.hash, '#/login');
+        assert.deepEqual(rendered, ['/', '/login']);
+    });
+
+    it('waits for async guards, a newer navigation superseding a pending one', async () => {
+        const router = new Route();
+        const rendered = [];
+        router.addRoute('/slow/:ms', ({ params }) => rendered.push(params.ms), {
+            beforeEnter: ({ params }) => new Promise(resolve => setTimeout(resolve, Number(params.ms), true)),
+        });
+
+        const first = router.navigate('/slow/30');
+        const second = router.navigate('/slow/5');
+        assert.deepEqual(await Promise.all([first, second]), [false, true]);
+        assert.deepEqual(rendered, ['5']);
+        assert.equal(location.hash, '#/slow/5');
+    });
+
+    it('stops redirect loops', async () => {
+        const router = new Route();
+        router.addRoute('/loop', () => {}, { beforeEnter: () => '/loop' });
+        assert.equal(await router.navigate('/loop'), false);
+    });
+
+    it('runs beforeLeave and beforeEach on the way to a path no route matches', async () => {
+        const router = new Route({ container: app });
+        const seen = [];
+        let dirty = true;
+        router.addRoute('/edit', { view: () => h('form', {}, []), beforeLeave: () => !dirty });
+        router.beforeEach((to) => { seen.push(to.pattern); });
+
+        await router.navigate('/edit');
+        assert.equal(await router.navigate('/nope'), false);
+        assert.equal(location.hash, '#/edit');
+        assert.equal(app.innerHTML, '<form></form>');
+
+        dirty = false;
+        assert.equal(await router.navigate('/nope'), true);
+        assert.equal(location.hash, '#/nope');
+        assert.deepEqual(seen, ['/edit', null]);
+    });
+});
+
+describe('Navigation errors', () => {
+    it('rejects the navigation when the route handler throws', async () => {
+        const router = new Route();
+        router.addRoute('/broken', () => { throw new Error('boom'); });
+
+        let promise;
+        assert.doesNotThrow(() => { promise = router.navigate('/broken'); });
+        await assert.rejects(promise, { message: 'boom' });
+    });
+
+    it('logs the failure of a navigation started by the browser', async () => {
+        const router = new Route();
+        router.addRoute('/', () => {});
+        router.addRoute('/broken', () => { throw new Error('boom'); });
+        router.init('/');
+
+        const errors = [];
+        const error = console.error;
+        console.error = (...args) => errors.push(args);
+        Logger.setLevel('error');
+        try {
+            history.replaceState(null, '', '#/broken');
+            window.dispatchEvent(new HashChangeEvent('hashchange'));
+            await tick();
+        } finally {
+            Logger.setLevel('silent');
+            console.error = error;
+            router.destroy();
+        }
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0][2].message, 'boom');
+    });
+});
+
+describe('Cancelled back and forward', () => {
+    /**
+     * Goes through the history and waits for the router to follow.
+     * @param {number} delta
+     */
+    async function go(delta) {
+        history.go(delta);
+        await tick(20);
+    }
+
+    it('keeps every history entry in history mode', async () => {
+        const router = new Route({ mode: 'history' });
+        const rendered = [];
+        let dirty = true;
+        ['/', '/a'].forEach(path => router.addRoute(path, () => rendered.push(path)));
+        router.addRoute('/b', () => rendered.push('/b'), { beforeLeave: () => !dirty });
+        router.init('/');
+        try {
+            await router.navigate('/a');
+            await router.navigate('/b');
+            await go(-1);
+            assert.equal(location.pathname, '/b');
+
+            dirty = false;
+            await go(-1);
+            assert.equal(location.pathname, '/a');
+            await go(-1);
+            assert.equal(location.pathname, '/');
+            assert.deepEqual(rendered, ['/', '/a', '/b', '/a', '/']);
+        } finally {
+            router.destroy();
+        }
+    });
+
+    it('keeps every history entry in hash mode, and restores a hash edited by hand', async () => {
+        const router = new Route();
+        const rendered = [];
+        let dirty = true;
+        ['/', '/a'].forEach(path => router.addRoute(path, () => rendered.push(path)));
+        router.addRoute('/b', () => rendered.push('/b'), { beforeLeave: () => !dirty });
+        router.init('/');
+        try {
+            await router.navigate('/a');
+            await router.navigate('/b');
+            await go(-1);
+            assert.equal(location.hash, '#/b');
+
+            location.hash = '#/';
+            await tick(20);
+            assert.equal(location.hash, '#/b');
+
+            dirty = false;
+            await go(-2);
+            assert.equal(location.hash, '#/a');
+            assert.deepEqual(rendered, ['/', '/a', '/b', '/a']);
+        } finally {
+            router.destroy();
+        }
+    });
+});
@@ -0,0 +1,59 @@
+import { tick } from './setup.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Dom } from '../src/dom.js';
+import { State } from '../src/state.js';
+import { Scheduler } from '../src/scheduler.js';
+
+const h = Dom.h.bind(Dom);
+
+/** @type {HTMLElement} */
+let app;
+
+beforeEach(() => {
+    document.body.innerHTML = '<div id="app"></div>';
+    app = /** @type {HTMLElement} */ (document.getElementById('app'));
+    localStorage.clear();
+});
+
+describe('Scheduler', () => {
+    it('renders once per frame however many times the state changes', async () => {
+        const state = new State({ count: 0 });
+        let renders = 0;
+        const scheduler = Scheduler.mount(({ count }) => {
+            renders++;
+            return h('p', {}, `Count: ${count}`);
+        }, app, state);
+
+        state.setState({ count: 1 });
+        state.setState({ count: 2 });
+        state.setState({ count: 3 });
+        assert.equal(app.textContent, 'Count: 0');
+
+        await tick(50);
+        assert.equal(app.textContent, 'Count: 3');
+        assert.equal(renders, 2);
+        scheduler.destroy();
+    });
+
+    it('renders right away on flush() and stops on destroy()', () => {
+        const state = new State({ count: 0 });
+        const scheduler = Scheduler.mount(({ count }) => h('p', {}, String(count)), app, state);
+        const paragraph = app.querySelector('p');
+
+        state.setState({ count: 1 });
+        assert.equal(scheduler.flush(), true);
+        assert.equal(scheduler.flush(), false);
+        assert.equal(app.querySelector('p'), paragraph);
+        assert.equal(app.textContent, '1');
+
+        scheduler.destroy();
+        state.setState({ count: 2 });
+        assert.equal(scheduler.flush(), false);
+        assert.equal(app.textContent, '1');
+    });
+
+    it('rejects a view that is not a function', () => {
+        assert.throws(() => new Scheduler(/** @type {any} */ ('view'), app), { code: 'INVALID_VIEW' });
+    });
+});
@@ -0,0 +1,33 @@
+import { JSDOM } from 'jsdom';
+
+/**
+ * Exposes a jsdom window as the browser globals the framework uses.
+ * Imported first by every test file, each of which runs in its own process.
+ */
+const dom = new JSDOM('<!doctype html><html><body><div id="app"></div></body></html>', {
+    url: 'http://localhost/',
+    pretendToBeVisual: true,
+});
+
+const GLOBALS = [
+    'document', 'navigator', 'location', 'history', 'localStorage', 'getComputedStyle',
+    'requestAnimationFrame', 'cancelAnimationFrame', 'MutationObserver',
+    'Node', 'Element', 'HTMLElement', 'SVGElement', 'Text', 'Comment', 'DocumentFragment',
+    'HTMLInputElement', 'HTMLTextAreaElement', 'HTMLSelectElement', 'HTMLOptionElement',
+    'HTMLAnchorElement', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'HashChangeEvent',
+    'PopStateEvent',
+];
+
+Object.defineProperty(globalThis, 'window', { value: dom.window, configurable: true, writable: true });
+GLOBALS.forEach(name => {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+});
+
+/**
+ * Waits for pending promise callbacks and timers.
+ * @param {number} [ms=0]
+ * @returns {Promise<void>}
+ */
+export function tick(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
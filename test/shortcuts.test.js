@@ -0,0 +1,88 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Shortcuts } from '../src/shortcuts.js';
+
+/**
+ * @param {Object} init - KeyboardEvent properties
+ * @param {Element} [target=document.body]
+ */
+function press(init, target = document.body) {
+    target.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init }));
+}
+
+describe('Shortcuts', () => {
+    /** @type {Shortcuts} */
+    let shortcuts;
+    afterEach(() => shortcuts.destroy());
+
+    it('matches letters by code, whatever character Option types', () => {
+        shortcuts = new Shortcuts();
+        const calls = [];
+        shortcuts.bind('Ctrl+Shift+K', () => calls.push('k'));
+        shortcuts.bind('Alt+A', () => calls.push('a'));
+        press({ key: 'K', code: 'KeyK', ctrlKey: true, shiftKey: true });
+        press({ key: 'å', code: 'KeyA', altKey: true });
+        assert.deepEqual(calls, ['k', 'a']);
+    });
+
+    it('matches symbols typed with Shift on the digit row', () => {
+        shortcuts = new Shortcuts();
+        const calls = [];
+        shortcuts.bind('!', () => calls.push('!'));
+        shortcuts.bind('Ctrl+@', () => calls.push('@'));
+        shortcuts.bind('Shift+3', () => calls.push('3'));
+        press({ key: '!', code: 'Digit1', shiftKey: true });
+        press({ key: '@', code: 'Digit2', shiftKey: true, ctrlKey: true });
+        press({ key: '#', code: 'Digit3', shiftKey: true });
+        assert.deepEqual(calls, ['!', '@']);
+    });
+
+    it('matches symbols of layouts without Shift on the digit row', () => {
+        shortcuts = new Shortcuts();
+        const calls = [];
+        shortcuts.bind('&', () => calls.push('&'));
+        press({ key: '&', code: 'Digit1' });
+        assert.deepEqual(calls, ['&']);
+    });
+
+    it('binds a symbol rather than Shift and its key', () => {
+        shortcuts = new Shortcuts();
+        const calls = [];
+        shortcuts.bind('?', () => calls.push('?'));
+        press({ key: '?', code: 'Slash', shiftKey: true });
+        assert.deepEqual(calls, ['?']);
+    });
+
+    it('fires sequences and resets on a key that continues none', () => {
+        shortcuts = new Shortcuts();
+        const calls = [];
+        shortcuts.bind('g i', () => calls.push('gi'));
+        press({ key: 'g', code: 'KeyG' });
+        press({ key: 'x', code: 'KeyX' });
+        press({ key: 'i', code: 'KeyI' });
+        press({ key: 'g', code: 'KeyG' });
+        press({ key: 'i', code: 'KeyI' });
+        assert.deepEqual(calls, ['gi']);
+    });
+
+    it('ignores keys typed in form fields unless allowed', () => {
+        shortcuts = new Shortcuts();
+        const input = document.createElement('input');
+        document.body.appendChild(input);
+        const calls = [];
+        shortcuts.bind('k', () => calls.push('k'));
+        shortcuts.bind('Escape', () => calls.push('esc'), { allowInInputs: true });
+        press({ key: 'k', code: 'KeyK' }, input);
+        press({ key: 'Escape', code: 'Escape' }, input);
+        input.remove();
+        assert.deepEqual(calls, ['esc']);
+    });
+
+    it('rejects conflicting shortcuts in the same scope', () => {
+        shortcuts = new Shortcuts();
+        shortcuts.bind('g i', () => {});
+        assert.throws(() => shortcuts.bind('g', () => {}), { code: 'CONFLICT' });
+        assert.doesNotThrow(() => shortcuts.bind('g', () => {}, { scope: 'list' }));
+    });
+});